@@ -6,8 +6,30 @@ require('express-async-errors');
 const numCPUs = os.cpus().length;
 const isDevelopment = process.env.NODE_ENV === 'development';
 
+// Workers share jobs, schedules, statistics and metrics through the master
+// below. PM2 cluster mode forks this file without it, so nothing would
+// answer them and no schedule would ever fire.
+if (cluster.isWorker && !require('./utils/clusterBus').hasMaster()) {
+    console.error('PM2 cluster mode is not supported: start one instance in fork mode and set MAX_WORKERS instead (see DEPLOYMENT.md)');
+    process.exit(1);
+}
+
+// Every copy of app.js fires the schedules in SCHEDULES_FILE, so a second
+// PM2 instance would run each of them again
+if (process.env.NODE_APP_INSTANCE && process.env.NODE_APP_INSTANCE !== '0') {
+    console.error(`PM2 instance ${process.env.NODE_APP_INSTANCE} refused to start: run one instance and set MAX_WORKERS instead (see DEPLOYMENT.md)`);
+    process.exit(1);
+}
+
 if (cluster.isMaster && !isDevelopment) {
     console.log(`Master ${process.pid} is running`);
+
+    // Route stats and other cross-worker requests between workers
+    require('./utils/clusterBus').setupMaster();
+    // Job records are shared by all workers and kept in the master
+    require('./services/jobStore');
+    // Only the master fires schedules, so each run happens once
+    require('./services/scheduleStore').start();
     
     // Fork workers
     const workerCount = Math.min(numCPUs, parseInt(process.env.MAX_WORKERS) || 4);
@@ -37,9 +59,20 @@ if (cluster.isMaster && !isDevelopment) {
     const rateLimit = require('express-rate-limit');
     
     const logger = require('./utils/logger');
+    const { redactSecrets } = require('./utils/helpers');
     const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+    const screenshotService = require('./services/screenshotService');
     const screenshotRoutes = require('./routes/screenshot');
+    const pdfRoutes = require('./routes/pdf');
+    const batchRoutes = require('./routes/batch');
+    const jobRoutes = require('./routes/jobs');
+    const diffRoutes = require('./routes/diff');
+    const baselineRoutes = require('./routes/baselines');
+    const scheduleRoutes = require('./routes/schedules');
     const healthRoutes = require('./routes/health');
+    const metricsRoutes = require('./routes/metrics');
+    const metrics = require('./services/metrics');
+    const storageService = require('./services/storageService');
 
     const app = express();
     const PORT = process.env.PORT || 3000;
@@ -63,6 +96,18 @@ if (cluster.isMaster && !isDevelopment) {
     app.use(express.json({ limit: '10mb' }));
     app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+    // Captures stored on local disk, linked from responses with store=true.
+    // Served ahead of the rate limiter so pages can embed them.
+    const storageRoute = storageService.staticRoute;
+    if (storageRoute) {
+        app.use(storageRoute.publicPath, express.static(storageRoute.dir, {
+            index: false,
+            dotfiles: 'deny',
+            maxAge: '1d',
+            setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+        }));
+    }
+
     // Rate limiting
     const limiter = rateLimit({
         windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000, // 1 minute
@@ -74,8 +119,8 @@ if (cluster.isMaster && !isDevelopment) {
         standardHeaders: true,
         legacyHeaders: false,
         skip: (req) => {
-            // Skip rate limiting for health checks
-            return req.path === '/health';
+            // Skip rate limiting for health checks and metrics scrapes
+            return req.path === '/health' || (metrics.enabled && req.path === metrics.endpoint);
         }
     });
 
@@ -86,7 +131,7 @@ if (cluster.isMaster && !isDevelopment) {
         logger.info(`${req.method} ${req.path}`, {
             ip: req.ip,
             userAgent: req.get('User-Agent'),
-            query: req.query,
+            query: redactSecrets(req.query),
             timestamp: new Date().toISOString()
         });
         next();
@@ -95,6 +140,16 @@ if (cluster.isMaster && !isDevelopment) {
     // Routes
     app.use('/health', healthRoutes);
     app.use('/api', screenshotRoutes);
+    app.use('/api', pdfRoutes);
+    app.use('/api', batchRoutes);
+    app.use('/api', jobRoutes);
+    app.use('/api', diffRoutes);
+    app.use('/api', baselineRoutes);
+    app.use('/api', scheduleRoutes);
+
+    if (metrics.enabled) {
+        app.use(metrics.endpoint, metricsRoutes);
+    }
 
     // 404 handler
     app.use('*', (req, res) => {
@@ -104,7 +159,19 @@ if (cluster.isMaster && !isDevelopment) {
             availableEndpoints: [
                 'GET /health',
                 'GET /api/screenshot',
-                'POST /api/screenshot'
+                'POST /api/screenshot',
+                'POST /api/screenshot/batch',
+                'GET /api/devices',
+                'GET /api/templates',
+                'POST /api/jobs',
+                'GET /api/jobs/:id',
+                'POST /api/diff',
+                'PUT /api/baselines/:name',
+                'POST /api/baselines/:name/check',
+                'POST /api/schedules',
+                'GET /api/schedules',
+                'GET /api/pdf',
+                'POST /api/pdf'
             ]
         });
     });
@@ -115,13 +182,28 @@ if (cluster.isMaster && !isDevelopment) {
     // Graceful shutdown
     const server = app.listen(PORT, () => {
         logger.info(`Worker ${process.pid} started on port ${PORT}`);
+
+        // Launch pooled browsers before traffic arrives
+        screenshotService.warmUp().catch((error) => {
+            logger.error('Browser pool warm-up failed:', error);
+        });
+
+        // Outside a cluster this process also fires the schedules
+        if (!cluster.isWorker) {
+            require('./services/scheduleStore').start();
+        }
     });
 
     // Handle graceful shutdown
     const gracefulShutdown = (signal) => {
         logger.info(`${signal} received, shutting down gracefully`);
-        server.close(() => {
+        server.close(async () => {
             logger.info('HTTP server closed');
+            try {
+                await screenshotService.shutdown();
+            } catch (error) {
+                logger.error('Error closing browser pool:', error);
+            }
             process.exit(0);
         });
 
@@ -3,8 +3,10 @@ module.exports = {
       {
         name: 'screenshot-service',
         script: './app.js',
-        instances: process.env.PM2_INSTANCES || 'max',
-        exec_mode: 'cluster',
+        // One instance: app.js forks MAX_WORKERS workers itself, and its
+        // master holds the state they share. Cluster mode is not supported.
+        instances: 1,
+        exec_mode: 'fork',
         
         // Environment variables
         env: {
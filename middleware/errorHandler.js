@@ -26,7 +26,12 @@ const errorHandler = (error, req, res, next) => {
     let errorType = 'INTERNAL_SERVER_ERROR';
     let userMessage = 'An internal server error occurred';
 
-    if (error.name === 'ValidationError') {
+    if (error.statusCode && error.type) {
+        // Custom error classes carry their own status and type
+        statusCode = error.statusCode;
+        errorType = error.type;
+        userMessage = error.message;
+    } else if (error.name === 'ValidationError') {
         statusCode = 400;
         errorType = 'VALIDATION_ERROR';
         userMessage = 'Invalid request parameters';
@@ -94,6 +99,11 @@ const errorHandler = (error, req, res, next) => {
         errorResponse.requestId = req.id;
     }
 
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        errorResponse.error.retryAfter = error.retryAfter;
+    }
+
     // Send error response
     res.status(statusCode).json(errorResponse);
 };
@@ -114,7 +124,31 @@ const notFoundHandler = (req, res) => {
             'GET /health/detailed',
             'GET /api/screenshot',
             'POST /api/screenshot',
-            'GET /api/screenshot/stats'
+            'POST /api/screenshot/batch',
+            'GET /api/screenshot/stats',
+            'GET /api/devices',
+            'GET /api/templates',
+            'POST /api/jobs',
+            'GET /api/jobs/:id',
+            'GET /api/jobs/:id/result',
+            'DELETE /api/jobs/:id',
+            'POST /api/diff',
+            'GET /api/baselines',
+            'PUT /api/baselines/:name',
+            'GET /api/baselines/:name',
+            'GET /api/baselines/:name/image',
+            'POST /api/baselines/:name/check',
+            'POST /api/baselines/:name/approve',
+            'DELETE /api/baselines/:name',
+            'POST /api/schedules',
+            'GET /api/schedules',
+            'GET /api/schedules/:id',
+            'GET /api/schedules/:id/runs',
+            'POST /api/schedules/:id/pause',
+            'POST /api/schedules/:id/resume',
+            'DELETE /api/schedules/:id',
+            'GET /api/pdf',
+            'POST /api/pdf'
         ],
         timestamp: new Date().toISOString()
     };
@@ -161,11 +195,22 @@ class ValidationError extends Error {
 }
 
 class RateLimitError extends Error {
-    constructor(message = 'Too many requests') {
+    constructor(message = 'Too many requests', retryAfter = null) {
         super(message);
         this.name = 'RateLimitError';
         this.statusCode = 429;
         this.type = 'RATE_LIMIT_ERROR';
+        this.retryAfter = retryAfter;
+    }
+}
+
+class ServiceUnavailableError extends Error {
+    constructor(message = 'Service temporarily unavailable', retryAfter = null) {
+        super(message);
+        this.name = 'ServiceUnavailableError';
+        this.statusCode = 503;
+        this.type = 'SERVICE_UNAVAILABLE';
+        this.retryAfter = retryAfter;
     }
 }
 
@@ -178,6 +223,18 @@ class TimeoutError extends Error {
     }
 }
 
+/**
+ * Describe an error for results reported outside the request that caused
+ * it, such as batch manifests and job records
+ * @param {Error} error - Capture or validation error
+ * @returns {Object} - Message, type and HTTP status of the failure
+ */
+const describeError = (error) => ({
+    message: error.message,
+    type: error.type || (error.message.includes('Invalid URL') ? 'INVALID_URL' : 'CAPTURE_FAILED'),
+    statusCode: error.statusCode || (error.message.includes('Invalid URL') ? 400 : 500)
+});
+
 /**
  * Error monitoring and alerting
  */
@@ -221,6 +278,8 @@ module.exports = {
     ScreenshotError,
     ValidationError,
     RateLimitError,
+    ServiceUnavailableError,
     TimeoutError,
+    describeError,
     monitorErrors
 };
\ No newline at end of file
@@ -1,32 +1,438 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const { getDevicePreset } = require('../utils/devices');
+const { redactSecrets, negotiateImageFormat } = require('../utils/helpers');
+const { resourceTypes: RESOURCE_TYPES } = require('../services/requestFilter');
+const { parseCron, nextRun } = require('../utils/cron');
+const { keyVariables: STORAGE_KEY_VARIABLES } = require('../services/storageService');
 
-// Validation schemas
-const screenshotSchema = Joi.object({
-    url: Joi.string()
-        .required()
-        .pattern(/^(https?:\/\/)?([\da-z\.-]+)\.([a-z\.]{2,6})([\/\w \.-]*)*\/?$/)
-        .message('URL must be a valid web address'),
-    
-    width: Joi.number()
+// Largest page coordinate a clip region or scroll offset may reference
+const MAX_PAGE_OFFSET = 30000;
+
+// Crop anchors understood by sharp's resize for the cover and contain fits
+const RESIZE_POSITIONS = [
+    'top', 'right top', 'right', 'right bottom', 'bottom', 'left bottom', 'left', 'left top',
+    'centre', 'center', 'north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest',
+    'entropy', 'attention'
+];
+
+const clipSchema = Joi.object({
+    x: Joi.number().integer().min(0).max(MAX_PAGE_OFFSET).required(),
+    y: Joi.number().integer().min(0).max(MAX_PAGE_OFFSET).required(),
+    width: Joi.number().integer().min(1).max(3840).required(),
+    height: Joi.number().integer().min(1).max(MAX_PAGE_OFFSET).required()
+}).messages({
+    'any.required': 'Clip requires x, y, width and height',
+    'number.min': '{#label} is out of range',
+    'number.max': '{#label} is out of range'
+});
+
+const urlSchema = Joi.string()
+    .required()
+    .pattern(/^(https?:\/\/)?([\da-z\.-]+)\.([a-z\.]{2,6})([\/\w \.-]*)*\/?$/)
+    .message('URL must be a valid web address');
+
+// Lengths accepted by Chromium's PDF printer, e.g. 10mm, 0.5in or 20px
+const cssLengthSchema = Joi.alternatives()
+    .try(
+        Joi.number().min(0),
+        Joi.string().trim().pattern(/^\d+(\.\d+)?(px|in|cm|mm)?$/)
+    )
+    .messages({
+        'alternatives.match': '{#label} must be a number or a length in px, in, cm or mm'
+    });
+
+// Wait predicates may only read page state: property paths from window or
+// document, or from the elements matching a selector, optionally compared
+// with a literal and joined with && or ||. Nothing in the grammar can call
+// a function other than the two selector queries.
+const PREDICATE_TOKEN_PATTERN = /\s*(?:(===|!==|==|!=|>=|<=|&&|\|\||[<>!().])|([A-Za-z_$][\w$]*)|('[^'\\]*'|"[^"\\]*")|(-?\d+(?:\.\d+)?))/y;
+const PREDICATE_ROOTS = ['window', 'document'];
+const PREDICATE_QUERIES = ['querySelector', 'querySelectorAll'];
+const PREDICATE_COMPARISONS = ['===', '!==', '==', '!=', '>', '>=', '<', '<='];
+const PREDICATE_LITERALS = ['true', 'false', 'null', 'undefined'];
+
+/**
+ * Check a waitForFunction expression against the predicate grammar, e.g.
+ * `window.chartReady === true && document.querySelectorAll('.row').length > 9`
+ * @param {string} expression - Predicate as given in the request
+ * @returns {string|null} - Expression to evaluate in the page, or null when it is not allowed
+ */
+const compilePredicate = (expression) => {
+    const tokens = [];
+    PREDICATE_TOKEN_PATTERN.lastIndex = 0;
+    while (PREDICATE_TOKEN_PATTERN.lastIndex < expression.length) {
+        const match = PREDICATE_TOKEN_PATTERN.exec(expression);
+        if (!match) return null;
+
+        const [, punctuation, name, string, number] = match;
+        tokens.push(
+            punctuation ? { kind: 'punctuation', text: punctuation }
+                : name ? { kind: 'name', text: name }
+                    : { kind: 'literal', text: string || number }
+        );
+    }
+
+    let position = 0;
+    const peek = () => tokens[position] || {};
+    const take = (kind, allowed) => {
+        const token = peek();
+        if (token.kind !== kind || (allowed && !allowed.includes(token.text))) {
+            throw new Error(`Unexpected ${token.text || 'end of expression'}`);
+        }
+        position++;
+        return token.text;
+    };
+
+    // window.a.b, document.title or document.querySelector('sel').dataset.state;
+    // a selector that matches nothing reads as undefined rather than throwing
+    const operand = () => {
+        const root = take('name', PREDICATE_ROOTS);
+        let code = root;
+        let separator = '.';
+
+        while (peek().text === '.') {
+            take('punctuation');
+            const name = take('name');
+
+            if (code === 'document' && PREDICATE_QUERIES.includes(name) && peek().text === '(') {
+                take('punctuation');
+                code += `.${name}(${take('literal')})`;
+                take('punctuation', [')']);
+                separator = '?.';
+            } else {
+                code += `${separator}${name}`;
+            }
+        }
+        return code;
+    };
+
+    const literal = () => (peek().kind === 'name' ? take('name', PREDICATE_LITERALS) : take('literal'));
+
+    const clause = () => {
+        let code = peek().text === '!' ? take('punctuation') : '';
+        code += operand();
+        if (PREDICATE_COMPARISONS.includes(peek().text)) {
+            code += ` ${take('punctuation')} ${literal()}`;
+        }
+        return code;
+    };
+
+    try {
+        let code = clause();
+        while (peek().text === '&&' || peek().text === '||') {
+            code += ` ${take('punctuation')} ${clause()}`;
+        }
+        return position === tokens.length ? code : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const PAGE_TIMEOUT_MS = parseInt(process.env.PAGE_TIMEOUT_MS) || 30000;
+
+// Wait strategies shared by every endpoint that loads a page
+const waitOptionSchemas = {
+    waitUntil: Joi.string()
+        .valid('load', 'domcontentloaded', 'networkidle0', 'networkidle2')
+        .messages({
+            'any.only': 'waitUntil must be load, domcontentloaded, networkidle0, or networkidle2'
+        }),
+
+    waitForSelector: Joi.string()
+        .trim()
+        .max(500)
+        .messages({
+            'string.max': 'waitForSelector cannot exceed 500 characters'
+        }),
+
+    waitForFunction: Joi.string()
+        .trim()
+        .max(500)
+        .custom((value, helpers) => compilePredicate(value) || helpers.error('string.predicate'))
+        .messages({
+            'string.max': 'waitForFunction cannot exceed 500 characters',
+            'string.predicate': 'waitForFunction must read properties of window, document or document.querySelector(...), optionally compared with a literal and joined with && or ||'
+        }),
+
+    delay: Joi.number()
         .integer()
-        .min(320)
-        .max(3840)
-        .default(1366)
+        .min(0)
+        .max(PAGE_TIMEOUT_MS)
         .messages({
-            'number.min': 'Width must be at least 320 pixels',
-            'number.max': 'Width cannot exceed 3840 pixels'
+            'number.min': 'Delay cannot be negative',
+            'number.max': `Delay cannot exceed ${PAGE_TIMEOUT_MS}ms`
         }),
-    
-    height: Joi.number()
+
+    timeout: Joi.number()
         .integer()
-        .min(240)
-        .max(2160)
-        .default(768)
+        .min(1000)
+        .max(parseInt(process.env.NAVIGATION_TIMEOUT_MS) || 60000)
+        .messages({
+            'number.min': 'Timeout must be at least 1000ms',
+            'number.max': 'Timeout exceeds the configured navigation timeout'
+        })
+};
+
+// Request blocking shared by every endpoint that loads a page
+const requestFilterSchemas = {
+    blockResources: Joi.array()
+        .items(Joi.string().lowercase().valid(...RESOURCE_TYPES))
+        .single()
+        .unique()
+        .messages({
+            'any.only': `Blocked resource types must be among ${RESOURCE_TYPES.join(', ')}`
+        }),
+
+    blockUrls: Joi.array()
+        .items(Joi.string().trim().min(3).max(500))
+        .single()
+        .max(50)
         .messages({
-            'number.min': 'Height must be at least 240 pixels',
-            'number.max': 'Height cannot exceed 2160 pixels'
+            'array.max': 'No more than 50 URL patterns can be blocked'
         }),
+
+    blockAds: Joi.boolean()
+        .default(false)
+        .messages({
+            'boolean.base': 'blockAds must be true or false'
+        })
+};
+
+/**
+ * Split comma-separated resource types given in a query string
+ */
+const prepareRequestFilter = (requestData) => {
+    if (typeof requestData.blockResources === 'string') {
+        requestData.blockResources = requestData.blockResources.split(',').map(type => type.trim()).filter(Boolean);
+    }
+};
+
+// Headers the browser manages itself and will not let a page override
+const RESERVED_HEADERS = ['host', 'content-length', 'connection', 'transfer-encoding', 'upgrade'];
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const SECRET_FIELDS = ['headers', 'cookies', 'authenticate', 'apiKey'];
+
+// Context passed to the captured page: headers, cookies, user agent and basic auth
+const pageContextSchemas = {
+    headers: Joi.object()
+        .pattern(Joi.string(), Joi.string().max(4096).allow(''))
+        .max(30)
+        .custom((headers, helpers) => {
+            const invalid = Object.keys(headers).find(name => (
+                !HEADER_NAME_PATTERN.test(name) || RESERVED_HEADERS.includes(name.toLowerCase())
+            ));
+            return invalid ? helpers.error('headers.name', { name: invalid }) : headers;
+        })
+        .messages({
+            'object.max': 'No more than 30 custom headers can be sent',
+            'headers.name': 'Header "{#name}" is not a valid header name or cannot be overridden'
+        }),
+
+    cookies: Joi.array()
+        .items(Joi.object({
+            name: Joi.string().trim().pattern(/^[^\s;=]+$/).max(256).required(),
+            value: Joi.string().max(4096).allow('').required(),
+            domain: Joi.string().trim().hostname(),
+            path: Joi.string().trim().pattern(/^\//).max(1024),
+            secure: Joi.boolean(),
+            httpOnly: Joi.boolean(),
+            sameSite: Joi.string().valid('Strict', 'Lax', 'None'),
+            expires: Joi.number().integer().min(0)
+        }))
+        .single()
+        .max(50)
+        .messages({
+            'array.max': 'No more than 50 cookies can be set'
+        }),
+
+    userAgent: Joi.string()
+        .trim()
+        .min(1)
+        .max(512)
+        .messages({
+            'string.max': 'User agent cannot exceed 512 characters'
+        }),
+
+    authenticate: Joi.object({
+        username: Joi.string().max(256).required(),
+        password: Joi.string().max(256).allow('').required()
+    }).messages({
+        'object.base': 'authenticate must be an object with username and password, or "username:password"'
+    })
+};
+
+/**
+ * Parse the string forms of page context options given in a query string:
+ * headers as JSON, cookies as "name=value; name2=value2" and
+ * authenticate as "username:password"
+ */
+const preparePageContext = (requestData) => {
+    if (typeof requestData.headers === 'string') {
+        try {
+            requestData.headers = JSON.parse(requestData.headers);
+        } catch (error) {
+            // Left as a string so validation reports it
+        }
+    }
+
+    if (typeof requestData.cookies === 'string') {
+        requestData.cookies = requestData.cookies
+            .split(';')
+            .map(pair => pair.trim())
+            .filter(Boolean)
+            .map(pair => {
+                const separator = pair.indexOf('=');
+                return separator === -1
+                    ? { name: pair, value: '' }
+                    : { name: pair.substring(0, separator).trim(), value: pair.substring(separator + 1).trim() };
+            });
+    }
+
+    if (typeof requestData.authenticate === 'string') {
+        const separator = requestData.authenticate.indexOf(':');
+        if (separator !== -1) {
+            requestData.authenticate = {
+                username: requestData.authenticate.substring(0, separator),
+                password: requestData.authenticate.substring(separator + 1)
+            };
+        }
+    }
+};
+
+const MAX_INJECT_SCRIPT_LENGTH = parseInt(process.env.MAX_INJECT_SCRIPT_LENGTH) || 20000;
+const MAX_INJECT_CSS_LENGTH = 100000;
+
+const selectorListSchema = Joi.array()
+    .items(Joi.string().trim().min(1).max(1000))
+    .single()
+    .max(50)
+    .messages({
+        'array.max': 'No more than 50 selectors can be given'
+    });
+
+/**
+ * Accept either an http(s) URL that passes the same safety checks as the
+ * page URL, or inline source
+ */
+const injectableSource = (value, helpers) => {
+    if (/^https?:\/\//i.test(value) && !/\s/.test(value)) {
+        return validateUrl(value) ? value : helpers.error('inject.url');
+    }
+    return value;
+};
+
+// Page changes applied after load and before capture
+const pageCustomisationSchemas = {
+    injectCss: Joi.string()
+        .max(MAX_INJECT_CSS_LENGTH)
+        .custom(injectableSource)
+        .messages({
+            'string.max': `Inline CSS cannot exceed ${MAX_INJECT_CSS_LENGTH} characters`,
+            'inject.url': 'Stylesheet URL is not allowed'
+        }),
+
+    injectScript: Joi.string()
+        .max(MAX_INJECT_SCRIPT_LENGTH)
+        .custom(injectableSource)
+        .messages({
+            'string.max': `Inline scripts cannot exceed ${MAX_INJECT_SCRIPT_LENGTH} characters`,
+            'inject.url': 'Script URL is not allowed'
+        }),
+
+    hideSelectors: selectorListSchema,
+
+    removeSelectors: selectorListSchema
+};
+
+const MAX_HTML_LENGTH = parseInt(process.env.MAX_HTML_LENGTH) || 5000000;
+const MAX_VIEWPORTS = parseInt(process.env.MAX_VIEWPORTS) || 6;
+
+const widthSchema = Joi.number()
+    .integer()
+    .min(320)
+    .max(3840)
+    .messages({
+        'number.min': 'Width must be at least 320 pixels',
+        'number.max': 'Width cannot exceed 3840 pixels'
+    });
+
+const heightSchema = Joi.number()
+    .integer()
+    .min(240)
+    .max(2160)
+    .messages({
+        'number.min': 'Height must be at least 240 pixels',
+        'number.max': 'Height cannot exceed 2160 pixels'
+    });
+
+const deviceSchema = Joi.string()
+    .custom((value, helpers) => {
+        const preset = getDevicePreset(value);
+        return preset ? preset.name : helpers.error('any.only');
+    })
+    .messages({
+        'any.only': 'Unknown device; see GET /api/devices for the available presets'
+    });
+
+const scaleSchema = Joi.number()
+    .min(1)
+    .max(3)
+    .precision(3)
+    .messages({
+        'number.min': 'Scale must be at least 1',
+        'number.max': 'Scale cannot exceed 3'
+    });
+
+// One rendering of a multi-viewport capture
+const viewportSchema = Joi.object({
+    width: widthSchema,
+    height: heightSchema,
+    device: deviceSchema,
+    scale: scaleSchema,
+    mobile: Joi.boolean(),
+    label: Joi.string()
+        .trim()
+        .max(100)
+}).or('width', 'device')
+    .messages({
+        'object.missing': 'Each viewport needs a width or a device'
+    });
+
+// Validation schemas
+const screenshotSchema = Joi.object({
+    url: urlSchema.optional(),
+
+    html: Joi.string()
+        .min(1)
+        .max(MAX_HTML_LENGTH)
+        .messages({
+            'string.max': `HTML cannot exceed ${MAX_HTML_LENGTH} characters`
+        }),
+
+    template: Joi.string()
+        .trim()
+        .pattern(/^[a-z0-9][a-z0-9_-]{0,99}$/i)
+        .messages({
+            'string.pattern.base': 'Template names may only contain letters, numbers, dashes and underscores'
+        }),
+
+    data: Joi.object()
+        .messages({
+            'object.base': 'Template data must be a JSON object'
+        }),
+
+    ...waitOptionSchemas,
+
+    ...requestFilterSchemas,
+
+    ...pageContextSchemas,
+
+    ...pageCustomisationSchemas,
+    
+    width: widthSchema,
+    
+    height: heightSchema,
     
     type: Joi.string()
         .valid('full', 'top')
@@ -36,10 +442,25 @@ const screenshotSchema = Joi.object({
         }),
     
     format: Joi.string()
-        .valid('png', 'jpg', 'jpeg')
+        .valid('png', 'jpg', 'jpeg', 'webp', 'avif', 'auto')
         .default('png')
         .messages({
-            'any.only': 'Format must be png, jpg, or jpeg'
+            'any.only': 'Format must be png, jpg, jpeg, webp, avif, or auto'
+        }),
+
+    lossless: Joi.boolean()
+        .default(false)
+        .messages({
+            'boolean.base': 'Lossless must be true or false'
+        }),
+
+    effort: Joi.number()
+        .integer()
+        .min(0)
+        .max(9)
+        .messages({
+            'number.min': 'Effort must be at least 0',
+            'number.max': 'Effort cannot exceed 9 (6 for webp)'
         }),
     
     quality: Joi.number()
@@ -52,21 +473,457 @@ const screenshotSchema = Joi.object({
             'number.max': 'Quality cannot exceed 100'
         }),
     
+    device: deviceSchema,
+
+    scale: scaleSchema,
+
     mobile: Joi.alternatives()
         .try(
             Joi.boolean(),
             Joi.string().valid('true', 'false')
         )
-        .default(false)
         .messages({
             'alternatives.match': 'Mobile must be true or false'
+        }),
+
+    selector: Joi.string()
+        .trim()
+        .max(500)
+        .messages({
+            'string.max': 'Selector cannot exceed 500 characters'
+        }),
+
+    selectorIndex: Joi.number()
+        .integer()
+        .min(0)
+        .max(1000)
+        .default(0)
+        .messages({
+            'number.min': 'Selector index cannot be negative',
+            'number.max': 'Selector index cannot exceed 1000'
+        }),
+
+    selectorTimeout: Joi.number()
+        .integer()
+        .min(0)
+        .max(parseInt(process.env.SELECTOR_TIMEOUT_MS) || 10000)
+        .messages({
+            'number.max': 'Selector timeout exceeds the configured maximum'
+        }),
+
+    padding: Joi.number()
+        .integer()
+        .min(0)
+        .max(500)
+        .default(0)
+        .messages({
+            'number.min': 'Padding cannot be negative',
+            'number.max': 'Padding cannot exceed 500 pixels'
+        }),
+
+    clip: clipSchema,
+
+    scrollTo: Joi.number()
+        .integer()
+        .min(0)
+        .max(MAX_PAGE_OFFSET)
+        .messages({
+            'number.min': 'Scroll offset cannot be negative',
+            'number.max': `Scroll offset cannot exceed ${MAX_PAGE_OFFSET} pixels`
+        }),
+
+    thumbWidth: Joi.number()
+        .integer()
+        .min(16)
+        .max(3840)
+        .messages({
+            'number.min': 'Thumbnail width must be at least 16 pixels',
+            'number.max': 'Thumbnail width cannot exceed 3840 pixels'
+        }),
+
+    thumbHeight: Joi.number()
+        .integer()
+        .min(16)
+        .max(MAX_PAGE_OFFSET)
+        .messages({
+            'number.min': 'Thumbnail height must be at least 16 pixels',
+            'number.max': `Thumbnail height cannot exceed ${MAX_PAGE_OFFSET} pixels`
+        }),
+
+    fit: Joi.string()
+        .valid('cover', 'contain', 'inside')
+        .default('cover')
+        .messages({
+            'any.only': 'Fit must be cover, contain, or inside'
+        }),
+
+    position: Joi.string()
+        .valid(...RESIZE_POSITIONS)
+        .default('top')
+        .messages({
+            'any.only': `Position must be one of ${RESIZE_POSITIONS.join(', ')}`
+        }),
+
+    maxHeight: Joi.number()
+        .integer()
+        .min(16)
+        .max(MAX_PAGE_OFFSET)
+        .messages({
+            'number.min': 'Max height must be at least 16 pixels',
+            'number.max': `Max height cannot exceed ${MAX_PAGE_OFFSET} pixels`
+        }),
+
+    cache: Joi.boolean()
+        .default(true)
+        .messages({
+            'boolean.base': 'Cache must be true or false'
+        }),
+
+    ttl: Joi.number()
+        .integer()
+        .min(0)
+        .max(parseInt(process.env.CACHE_MAX_TTL_SECONDS) || 86400)
+        .messages({
+            'number.min': 'TTL cannot be negative',
+            'number.max': 'TTL exceeds the maximum cache lifetime'
+        }),
+
+    viewports: Joi.array()
+        .items(viewportSchema)
+        .min(1)
+        .max(MAX_VIEWPORTS)
+        .messages({
+            'array.max': `No more than ${MAX_VIEWPORTS} viewports can be captured at once`
+        }),
+
+    montage: Joi.boolean()
+        .messages({
+            'boolean.base': 'Montage must be true or false'
+        }),
+
+    montageSpacing: Joi.number()
+        .integer()
+        .min(0)
+        .max(200)
+        .messages({
+            'number.min': 'Montage spacing cannot be negative',
+            'number.max': 'Montage spacing cannot exceed 200 pixels'
+        }),
+
+    montageBackground: Joi.string()
+        .trim()
+        .pattern(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i)
+        .messages({
+            'string.pattern.base': 'Montage background must be a hex colour such as #ffffff'
+        }),
+
+    montageLabels: Joi.boolean()
+        .messages({
+            'boolean.base': 'Montage labels must be true or false'
+        })
+}).oxor('selector', 'clip', 'scrollTo')
+    .xor('url', 'html', 'template')
+    .with('data', 'template')
+    .without('viewports', ['width', 'height', 'device', 'mobile'])
+    .messages({
+        'object.oxor': 'Only one of selector, clip or scrollTo can be used',
+        'object.missing': 'One of url, html or template is required',
+        'object.xor': 'Only one of url, html or template can be used',
+        'object.with': 'Template data needs a template',
+        'object.without': 'With viewports, set width, height, device and mobile on each viewport instead'
+    });
+
+// Object key templates for stored captures, e.g. "{date}/{host}/{hash}.{ext}"
+const storageKeySchema = Joi.string()
+    .trim()
+    .max(500)
+    .custom((value, helpers) => {
+        const unknown = [...value.matchAll(/\{(\w+)\}/g)]
+            .map(([, name]) => name)
+            .filter(name => !STORAGE_KEY_VARIABLES.includes(name));
+
+        return unknown.length > 0
+            ? helpers.error('storageKey.variable', {
+                names: unknown.join(', '),
+                allowed: STORAGE_KEY_VARIABLES.map(name => `{${name}}`).join(', ')
+            })
+            : value;
+    })
+    .messages({
+        'storageKey.variable': 'Unknown key template variable: {#names}. Use {#allowed}'
+    });
+
+// The screenshot endpoints can also store the capture and answer with a link
+const screenshotRequestSchema = screenshotSchema.keys({
+    store: Joi.boolean()
+        .default(false),
+
+    storageKey: storageKeySchema
+});
+
+// Callers that store or stream a single image cannot take separate viewport images
+const singleImageSchema = screenshotSchema.keys({
+    montage: Joi.boolean()
+        .valid(true)
+        .messages({
+            'any.only': 'Viewports can only be combined into a montage here'
+        })
+});
+
+const pdfSchema = Joi.object({
+    url: urlSchema,
+
+    ...waitOptionSchemas,
+
+    ...requestFilterSchemas,
+
+    ...pageContextSchemas,
+
+    ...pageCustomisationSchemas,
+
+    format: Joi.string()
+        .valid('Letter', 'Legal', 'Tabloid', 'Ledger', 'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6')
+        .insensitive()
+        .default('A4')
+        .messages({
+            'any.only': 'Format must be one of Letter, Legal, Tabloid, Ledger or A0-A6'
+        }),
+
+    width: cssLengthSchema,
+
+    height: cssLengthSchema,
+
+    margin: Joi.object({
+        top: cssLengthSchema,
+        right: cssLengthSchema,
+        bottom: cssLengthSchema,
+        left: cssLengthSchema
+    }),
+
+    landscape: Joi.boolean()
+        .default(false),
+
+    printBackground: Joi.boolean()
+        .default(true),
+
+    pageRanges: Joi.string()
+        .trim()
+        .pattern(/^\d+(\s*-\s*\d+)?(\s*,\s*\d+(\s*-\s*\d+)?)*$/)
+        .messages({
+            'string.pattern.base': 'Page ranges must look like "1-5, 8, 11-13"'
+        }),
+
+    headerTemplate: Joi.string()
+        .max(20000),
+
+    footerTemplate: Joi.string()
+        .max(20000),
+
+    scale: Joi.number()
+        .min(0.1)
+        .max(2)
+        .default(1)
+        .messages({
+            'number.min': 'Scale must be at least 0.1',
+            'number.max': 'Scale cannot exceed 2'
+        }),
+
+    media: Joi.string()
+        .valid('print', 'screen')
+        .default('print')
+        .messages({
+            'any.only': 'Media must be either "print" or "screen"'
+        })
+}).and('width', 'height')
+    .messages({
+        'object.and': 'Custom paper size needs both width and height'
+    });
+
+// Webhook receivers get the same URL checks as pages to capture
+const webhookUrlSchema = Joi.string()
+    .trim()
+    .uri({ scheme: ['http', 'https'] })
+    .max(2000)
+    .custom((value, helpers) => (validateUrl(value) ? value : helpers.error('callback.unsafe')))
+    .messages({
+        'string.uri': 'Callback URL must be an http or https URL',
+        'callback.unsafe': 'Callback URL is not allowed'
+    });
+
+// Async jobs take every screenshot parameter plus an optional webhook
+const jobSchema = singleImageSchema.keys({
+    callbackUrl: webhookUrlSchema,
+
+    callbackIncludeImage: Joi.boolean()
+        .default(false)
+});
+
+// How two images are compared
+const comparisonSchemas = {
+    threshold: Joi.number()
+        .min(0)
+        .max(1)
+        .default(parseFloat(process.env.DIFF_THRESHOLD) || 0)
+        .messages({
+            'number.min': 'Threshold must be between 0 and 1',
+            'number.max': 'Threshold must be between 0 and 1'
+        }),
+
+    tolerance: Joi.number()
+        .integer()
+        .min(0)
+        .max(255)
+        .default(parseInt(process.env.DIFF_TOLERANCE) || 16)
+        .messages({
+            'number.min': 'Tolerance must be between 0 and 255',
+            'number.max': 'Tolerance must be between 0 and 255'
+        }),
+
+    sizeMismatch: Joi.string()
+        .valid('pad', 'crop')
+        .default('pad')
+        .messages({
+            'any.only': 'sizeMismatch must be either "pad" or "crop"'
+        })
+};
+
+const base64ImageSchema = Joi.string()
+    .trim()
+    .pattern(/^(data:image\/[a-z0-9.+-]+;base64,)?[A-Za-z0-9+/\s]+={0,2}$/i)
+    .messages({
+        'string.pattern.base': '{#label} must be a base64 encoded image'
+    });
+
+// A visual diff captures the page once and compares it with a baseline page or image
+const diffSchema = singleImageSchema.keys({
+    baselineUrl: urlSchema.optional(),
+
+    baselineImage: base64ImageSchema,
+
+    ...comparisonSchemas
+}).xor('baselineUrl', 'baselineImage')
+    .messages({
+        'object.missing': 'One of baselineUrl or baselineImage is required',
+        'object.xor': 'Only one of baselineUrl or baselineImage can be used'
+    });
+
+// Checks reuse the capture options stored with the baseline
+const baselineCheckSchema = Joi.object({
+    ...comparisonSchemas
+});
+
+const baselineApprovalSchema = Joi.object({
+    checkId: Joi.string()
+        .guid()
+        .required()
+        .messages({
+            'any.required': 'checkId of the check to approve is required',
+            'string.guid': 'checkId must be the ID returned by a check'
+        })
+});
+
+// Schedules take every screenshot parameter plus when to run and where the image goes
+const scheduleSchema = singleImageSchema.keys({
+    name: Joi.string()
+        .trim()
+        .max(100),
+
+    cron: Joi.string()
+        .trim()
+        .max(100)
+        .required()
+        .custom((value, helpers) => {
+            let parsed;
+            try {
+                parsed = parseCron(value);
+            } catch (error) {
+                return helpers.error('cron.invalid', { reason: error.message });
+            }
+            return nextRun(parsed, Date.now()) ? value : helpers.error('cron.never');
+        })
+        .messages({
+            'any.required': 'cron is required, e.g. "0 * * * *" for every hour',
+            'cron.invalid': 'Invalid cron expression: {#reason}',
+            'cron.never': 'The cron expression never matches a date'
+        }),
+
+    destination: Joi.object({
+        type: Joi.string()
+            .valid('storage', 'webhook')
+            .required()
+            .messages({
+                'any.only': 'Destination type must be either "storage" or "webhook"'
+            }),
+
+        url: Joi.when('type', {
+            is: 'webhook',
+            then: webhookUrlSchema.required().messages({
+                'any.required': 'A webhook destination needs a url'
+            }),
+            otherwise: Joi.forbidden().messages({
+                'any.unknown': 'Only webhook destinations take a url'
+            })
+        }),
+
+        key: Joi.when('type', {
+            is: 'storage',
+            then: storageKeySchema,
+            otherwise: Joi.forbidden().messages({
+                'any.unknown': 'Only storage destinations take a key'
+            })
+        })
+    }).default({ type: 'storage' })
+});
+
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE) || 200;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 3;
+
+// Items are checked one by one against screenshotSchema, so a bad item fails alone
+const batchSchema = Joi.object({
+    items: Joi.array()
+        .items(Joi.alternatives().try(
+            Joi.string().trim(),
+            Joi.object({
+                id: Joi.string().trim().max(100)
+            }).unknown(true)
+        ))
+        .min(1)
+        .max(MAX_BATCH_SIZE)
+        .required()
+        .messages({
+            'array.min': 'A batch needs at least one item',
+            'array.max': `A batch cannot have more than ${MAX_BATCH_SIZE} items`,
+            'any.required': 'items is required'
+        }),
+
+    defaults: Joi.object()
+        .default({}),
+
+    output: Joi.string()
+        .valid('zip', 'json')
+        .messages({
+            'any.only': 'Output must be either "zip" or "json"'
+        }),
+
+    concurrency: Joi.number()
+        .integer()
+        .min(1)
+        .max(BATCH_CONCURRENCY)
+        .default(BATCH_CONCURRENCY)
+        .messages({
+            'number.max': `Concurrency cannot exceed ${BATCH_CONCURRENCY}`
         })
 });
 
 /**
- * Middleware to validate screenshot requests
+ * Build a middleware that validates combined query and body parameters
+ * @param {Object} config - Validator configuration
+ * @param {Object} config.schema - Joi schema to validate against
+ * @param {Function} [config.prepare] - Normalises raw request data before validation
+ * @param {Object} config.examples - Example requests returned with validation errors
+ * @returns {Function} - Express middleware
  */
-const validateScreenshotRequest = async (req, res, next) => {
+const createRequestValidator = ({ schema, prepare, examples }) => async (req, res, next) => {
     try {
         // Combine query and body parameters (body takes precedence)
         const requestData = {
@@ -74,15 +931,12 @@ const validateScreenshotRequest = async (req, res, next) => {
             ...req.body
         };
 
-        // Special handling for mobile parameter
-        if (requestData.mobile !== undefined) {
-            if (typeof requestData.mobile === 'string') {
-                requestData.mobile = requestData.mobile.toLowerCase() === 'true';
-            }
+        if (prepare) {
+            prepare(requestData);
         }
 
         // Validate against schema
-        const { error, value } = screenshotSchema.validate(requestData, {
+        const { error, value } = schema.validate(requestData, {
             abortEarly: false,
             stripUnknown: true,
             convert: true
@@ -92,12 +946,12 @@ const validateScreenshotRequest = async (req, res, next) => {
             const validationErrors = error.details.map(detail => ({
                 field: detail.path.join('.'),
                 message: detail.message,
-                value: detail.context.value
+                value: SECRET_FIELDS.includes(detail.path[0]) ? '[REDACTED]' : detail.context.value
             }));
 
             logger.warn('Validation failed', {
                 errors: validationErrors,
-                requestData,
+                requestData: redactSecrets(requestData),
                 ip: req.ip
             });
 
@@ -106,18 +960,7 @@ const validateScreenshotRequest = async (req, res, next) => {
                 error: 'Validation failed',
                 message: 'One or more request parameters are invalid',
                 details: validationErrors,
-                examples: {
-                    get: '/api/screenshot?url=https://example.com&width=1366&type=full&quality=80',
-                    post: {
-                        url: 'https://example.com',
-                        width: 1366,
-                        height: 768,
-                        type: 'top',
-                        format: 'png',
-                        quality: 80,
-                        mobile: false
-                    }
-                },
+                examples,
                 timestamp: new Date().toISOString()
             });
         }
@@ -133,8 +976,8 @@ const validateScreenshotRequest = async (req, res, next) => {
         }
 
         logger.debug('Request validation successful', {
-            originalData: requestData,
-            validatedData: value,
+            originalData: redactSecrets(requestData),
+            validatedData: redactSecrets(value),
             method: req.method,
             ip: req.ip
         });
@@ -152,6 +995,225 @@ const validateScreenshotRequest = async (req, res, next) => {
     }
 };
 
+/**
+ * Normalise raw screenshot parameters before validation
+ */
+const prepareScreenshotRequest = (requestData) => {
+    prepareRequestFilter(requestData);
+    preparePageContext(requestData);
+
+    // Special handling for mobile parameter
+    if (requestData.mobile !== undefined) {
+        if (typeof requestData.mobile === 'string') {
+            requestData.mobile = requestData.mobile.toLowerCase() === 'true';
+        }
+    }
+
+    // Special handling for clip given as "x,y,width,height" in a query string
+    if (typeof requestData.clip === 'string') {
+        const [x, y, width, height] = requestData.clip.split(',').map(part => part.trim());
+        requestData.clip = { x, y, width, height };
+    }
+
+    // Viewports given as "375x667,768x1024,iphone-12" in a query string
+    if (typeof requestData.viewports === 'string') {
+        requestData.viewports = requestData.viewports
+            .split(',')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => {
+                const size = part.match(/^(\d+)(?:x(\d+))?$/i);
+                return size ? { width: size[1], height: size[2] } : { device: part };
+            });
+    }
+};
+
+/**
+ * Validate one set of single-image screenshot options outside a request,
+ * e.g. a batch item
+ * @param {Object} options - Raw screenshot parameters
+ * @returns {Object} - Joi result with error and value
+ */
+const validateScreenshotOptions = (options) => {
+    const requestData = { ...options };
+    prepareScreenshotRequest(requestData);
+
+    return singleImageSchema.validate(requestData, {
+        abortEarly: false,
+        stripUnknown: true,
+        convert: true
+    });
+};
+
+/**
+ * Map validated screenshot parameters onto screenshot service options
+ * @param {Object} value - Validated parameters
+ * @param {string} [accept] - Accept header used to resolve format=auto
+ * @returns {Object} - Capture options
+ */
+const toCaptureOptions = (value, accept) => {
+    const { mobile, ...options } = value;
+    options.isMobile = mobile;
+
+    if (options.format === 'auto') {
+        options.format = negotiateImageFormat(accept);
+    }
+
+    return options;
+};
+
+/**
+ * Middleware to validate screenshot requests
+ */
+const validateScreenshotRequest = createRequestValidator({
+    schema: screenshotRequestSchema,
+    prepare: prepareScreenshotRequest,
+    examples: {
+        get: '/api/screenshot?url=https://example.com&width=1366&type=full&quality=80',
+        post: {
+            url: 'https://example.com',
+            width: 1366,
+            height: 768,
+            type: 'top',
+            format: 'png',
+            quality: 80,
+            mobile: false
+        }
+    }
+});
+
+/**
+ * Middleware to validate async job requests
+ */
+const validateJobRequest = createRequestValidator({
+    schema: jobSchema,
+    prepare: prepareScreenshotRequest,
+    examples: {
+        post: {
+            url: 'https://example.com',
+            type: 'full',
+            format: 'png',
+            callbackUrl: 'https://hooks.example.com/screenshots',
+            callbackIncludeImage: false
+        }
+    }
+});
+
+/**
+ * Middleware to validate visual diff requests
+ */
+const validateDiffRequest = createRequestValidator({
+    schema: diffSchema,
+    prepare: prepareScreenshotRequest,
+    examples: {
+        post: {
+            url: 'https://staging.example.com',
+            baselineUrl: 'https://example.com',
+            type: 'top',
+            threshold: 0.01,
+            tolerance: 16,
+            sizeMismatch: 'pad'
+        }
+    }
+});
+
+/**
+ * Middleware to validate requests that store a baseline capture
+ */
+const validateBaselineRequest = createRequestValidator({
+    schema: singleImageSchema,
+    prepare: prepareScreenshotRequest,
+    examples: {
+        put: {
+            url: 'https://example.com',
+            type: 'top',
+            width: 1366,
+            height: 768,
+            hideSelectors: ['.cookie-banner']
+        }
+    }
+});
+
+/**
+ * Middleware to validate baseline checks
+ */
+const validateBaselineCheckRequest = createRequestValidator({
+    schema: baselineCheckSchema,
+    examples: {
+        post: { threshold: 0.01, tolerance: 16, sizeMismatch: 'pad' }
+    }
+});
+
+/**
+ * Middleware to validate baseline approvals
+ */
+const validateBaselineApproval = createRequestValidator({
+    schema: baselineApprovalSchema,
+    examples: {
+        post: { checkId: '3f0c9f6e-8a52-4f0e-b0c4-7d1b2a4c9e11' }
+    }
+});
+
+/**
+ * Middleware to validate new schedules
+ */
+const validateScheduleRequest = createRequestValidator({
+    schema: scheduleSchema,
+    prepare: prepareScreenshotRequest,
+    examples: {
+        post: {
+            name: 'Homepage every hour',
+            cron: '0 * * * *',
+            url: 'https://example.com',
+            type: 'full',
+            destination: { type: 'webhook', url: 'https://hooks.example.com/screenshots' }
+        }
+    }
+});
+
+/**
+ * Middleware to validate batch screenshot requests
+ */
+const validateBatchRequest = createRequestValidator({
+    schema: batchSchema,
+    examples: {
+        post: {
+            items: ['https://example.com', { id: 'docs', url: 'https://example.org/docs', type: 'full' }],
+            defaults: { width: 1366, height: 768, type: 'top', format: 'png' },
+            output: 'zip'
+        }
+    }
+});
+
+/**
+ * Middleware to validate PDF requests
+ */
+const validatePdfRequest = createRequestValidator({
+    schema: pdfSchema,
+    prepare: (requestData) => {
+        prepareRequestFilter(requestData);
+        preparePageContext(requestData);
+
+        // Special handling for margin given as margin[top]=... or a single length
+        if (typeof requestData.margin === 'string') {
+            const length = requestData.margin.trim();
+            requestData.margin = { top: length, right: length, bottom: length, left: length };
+        }
+    },
+    examples: {
+        get: '/api/pdf?url=https://example.com&format=A4&landscape=false&printBackground=true',
+        post: {
+            url: 'https://example.com',
+            format: 'A4',
+            landscape: false,
+            printBackground: true,
+            margin: { top: '10mm', right: '10mm', bottom: '10mm', left: '10mm' },
+            scale: 1,
+            media: 'print'
+        }
+    }
+});
+
 /**
  * Custom validation for URLs with additional security checks
  */
@@ -257,8 +1319,24 @@ const validateApiKey = (req, res, next) => {
 };
 
 module.exports = {
+    createRequestValidator,
     validateScreenshotRequest,
+    validateScreenshotOptions,
+    toCaptureOptions,
+    validateJobRequest,
+    validateDiffRequest,
+    validateBaselineRequest,
+    validateBaselineCheckRequest,
+    validateBaselineApproval,
+    validateScheduleRequest,
+    validateBatchRequest,
+    validatePdfRequest,
     validateUrl,
     validateApiKey,
-    screenshotSchema
+    screenshotSchema,
+    jobSchema,
+    diffSchema,
+    scheduleSchema,
+    batchSchema,
+    pdfSchema
 };
\ No newline at end of file
@@ -0,0 +1,222 @@
+const express = require('express');
+const router = express.Router();
+const baselineService = require('../services/baselineService');
+const {
+    validateBaselineRequest,
+    validateBaselineCheckRequest,
+    validateBaselineApproval,
+    toCaptureOptions
+} = require('../middleware/validator');
+const logger = require('../utils/logger');
+const { redactSecrets } = require('../utils/helpers');
+
+/**
+ * Send a baseline API error in the same shape as the capture routes
+ */
+const sendBaselineError = (res, error, message) => {
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+
+    res.status(error.statusCode || (error.message.includes('Invalid URL') ? 400 : 500)).json({
+        success: false,
+        error: message,
+        message: error.message,
+        type: error.type,
+        retryAfter: error.retryAfter,
+        timestamp: new Date().toISOString()
+    });
+};
+
+/**
+ * Send a stored PNG
+ */
+const sendImage = (res, image) => {
+    res.set({
+        'Content-Type': 'image/png',
+        'Content-Length': image.length,
+        'Cache-Control': 'private, no-cache'
+    });
+    res.send(image);
+};
+
+/**
+ * GET /api/baselines
+ * List stored baselines with their latest check
+ */
+router.get('/baselines', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await baselineService.list(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Baseline listing failed:', error);
+        sendBaselineError(res, error, 'Failed to list baselines');
+    }
+});
+
+/**
+ * PUT /api/baselines/:name
+ * Capture a page and store it as the next version of a baseline. Takes the
+ * same parameters as POST /api/screenshot; they are kept for later checks.
+ */
+router.put('/baselines/:name', validateBaselineRequest, async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const options = toCaptureOptions(req.body, req.get('Accept'));
+
+        logger.info('PUT baseline request received', {
+            name: req.params.name,
+            options: redactSecrets(options),
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        const baseline = await baselineService.save(req.params.name, options);
+
+        res.status(baseline.version === 1 ? 201 : 200)
+           .location(`/api/baselines/${baseline.name}`)
+           .json({
+               success: true,
+               data: baselineService.present(baseline),
+               processingTime: Date.now() - startTime,
+               timestamp: new Date().toISOString()
+           });
+    } catch (error) {
+        logger.error('PUT baseline failed', { name: req.params.name, error: error.message });
+        sendBaselineError(res, error, 'Baseline could not be saved');
+    }
+});
+
+/**
+ * GET /api/baselines/:name
+ * A baseline's options, version history and recent checks
+ */
+router.get('/baselines/:name', async (req, res) => {
+    try {
+        const baseline = await baselineService.get(req.params.name);
+
+        res.json({
+            success: true,
+            data: baselineService.present(baseline),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendBaselineError(res, error, 'Baseline lookup failed');
+    }
+});
+
+/**
+ * GET /api/baselines/:name/image
+ * The current baseline image, or a retained version with ?version=N
+ */
+router.get('/baselines/:name/image', async (req, res) => {
+    try {
+        const version = parseInt(req.query.version) || undefined;
+        sendImage(res, await baselineService.readImage(req.params.name, { version }));
+    } catch (error) {
+        sendBaselineError(res, error, 'Baseline image not available');
+    }
+});
+
+/**
+ * POST /api/baselines/:name/check
+ * Capture the page again with the baseline's options and compare it with
+ * the current version
+ */
+router.post('/baselines/:name/check', validateBaselineCheckRequest, async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const { check, result, capture, diffImage } = await baselineService.check(req.params.name, req.body);
+        const base = `/api/baselines/${req.params.name}`;
+
+        res.set({
+            'X-Diff-Passed': result.passed,
+            'X-Diff-Ratio': result.ratio
+        });
+
+        res.json({
+            success: true,
+            data: {
+                checkId: check.id,
+                baselineVersion: check.baselineVersion,
+                ...result,
+                images: {
+                    capture: capture.toString('base64'),
+                    diff: diffImage.toString('base64'),
+                    contentType: 'image/png'
+                },
+                links: {
+                    capture: `${base}/checks/${check.id}/image`,
+                    diff: `${base}/checks/${check.id}/diff`,
+                    approve: `${base}/approve`
+                },
+                processingTime: Date.now() - startTime
+            },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Baseline check failed', { name: req.params.name, error: error.message });
+        sendBaselineError(res, error, 'Baseline check failed');
+    }
+});
+
+/**
+ * GET /api/baselines/:name/checks/:checkId/image
+ * GET /api/baselines/:name/checks/:checkId/diff
+ * The capture or diff image of a recent check
+ */
+router.get('/baselines/:name/checks/:checkId/:kind(image|diff)', async (req, res) => {
+    try {
+        sendImage(res, await baselineService.readImage(req.params.name, {
+            checkId: req.params.checkId,
+            diff: req.params.kind === 'diff'
+        }));
+    } catch (error) {
+        sendBaselineError(res, error, 'Check image not available');
+    }
+});
+
+/**
+ * POST /api/baselines/:name/approve
+ * Make a check's capture the next baseline version
+ */
+router.post('/baselines/:name/approve', validateBaselineApproval, async (req, res) => {
+    try {
+        const baseline = await baselineService.approve(req.params.name, req.body.checkId);
+
+        logger.info('Baseline check approved', { name: baseline.name, checkId: req.body.checkId, version: baseline.version });
+
+        res.json({
+            success: true,
+            data: baselineService.present(baseline),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendBaselineError(res, error, 'Check could not be approved');
+    }
+});
+
+/**
+ * DELETE /api/baselines/:name
+ * Delete a baseline with its history and checks
+ */
+router.delete('/baselines/:name', async (req, res) => {
+    try {
+        await baselineService.remove(req.params.name);
+
+        res.json({
+            success: true,
+            data: { name: req.params.name, deleted: true },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendBaselineError(res, error, 'Baseline could not be deleted');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const batchService = require('../services/batchService');
+const { validateBatchRequest } = require('../middleware/validator');
+const logger = require('../utils/logger');
+const { redactSecrets } = require('../utils/helpers');
+const ZipWriter = require('../utils/zipWriter');
+
+/**
+ * Write to a response one chunk at a time, waiting for it to drain when its
+ * buffer is full. Calls may overlap; chunks are written in call order.
+ * @param {Object} res - Express response
+ * @returns {Function} - `(chunk) => Promise` resolving once the chunk is written
+ */
+const createSerialWriter = (res) => {
+    let pending = Promise.resolve();
+
+    return (chunk) => {
+        pending = pending.then(() => new Promise((resolve) => {
+            if (res.destroyed || res.write(chunk)) {
+                resolve();
+                return;
+            }
+
+            const done = () => {
+                res.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        }));
+        return pending;
+    };
+};
+
+/**
+ * POST /api/screenshot/batch
+ * Captures a list of URLs with shared defaults. Streams a ZIP of images plus
+ * manifest.json, or returns JSON when requested with output=json or an
+ * Accept header that prefers JSON.
+ */
+router.post('/screenshot/batch', validateBatchRequest, async (req, res) => {
+    const startTime = Date.now();
+    const { items, defaults, concurrency } = req.body;
+    const output = req.body.output || (req.accepts(['application/zip', 'json']) === 'json' ? 'json' : 'zip');
+
+    logger.info('POST screenshot batch received', {
+        items: items.length,
+        defaults: redactSecrets(defaults),
+        concurrency,
+        output,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+
+    const prepared = batchService.prepareItems(items, defaults, { accept: req.get('Accept') });
+
+    // Stop starting new captures once the client has gone
+    let cancelled = false;
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            cancelled = true;
+        }
+    });
+
+    try {
+        // Items are written as they finish, like ZIP entries, so a batch
+        // never holds more than `concurrency` images in memory
+        if (output === 'json') {
+            res.status(200).type('json');
+
+            const write = createSerialWriter(res);
+            let written = 0;
+
+            await write('{"success":true,"data":{"items":[');
+            const results = await batchService.run(prepared, {
+                concurrency,
+                isCancelled: () => cancelled,
+                onResult: async (result, image) => {
+                    if (!cancelled) {
+                        const entry = image ? { ...result, image: image.toString('base64') } : result;
+                        await write(`${written++ > 0 ? ',' : ''}${JSON.stringify(entry)}`);
+                    }
+                }
+            });
+            const summary = batchService.summarise(results, Date.now() - startTime);
+
+            if (!cancelled) {
+                await write(`],"summary":${JSON.stringify(summary)}},"timestamp":"${new Date().toISOString()}"}`);
+                res.end();
+            }
+
+            logger.info('POST screenshot batch completed', { ...summary, output, cancelled });
+            return;
+        }
+
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="screenshots-${Date.now()}.zip"`,
+            'X-Batch-Items': items.length
+        });
+        res.status(200);
+
+        const zip = new ZipWriter(res);
+        const results = await batchService.run(prepared, {
+            concurrency,
+            isCancelled: () => cancelled,
+            onResult: async (result, image) => {
+                if (image && !cancelled) {
+                    await zip.addFile(result.file, image);
+                }
+            }
+        });
+        const summary = batchService.summarise(results, Date.now() - startTime);
+
+        if (!cancelled) {
+            await zip.addFile('manifest.json', JSON.stringify({
+                items: results,
+                summary,
+                createdAt: new Date().toISOString()
+            }, null, 2));
+            await zip.finish();
+        }
+
+        logger.info('POST screenshot batch completed', { ...summary, output, cancelled });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+
+        logger.error('POST screenshot batch failed', {
+            error: error.message,
+            processingTime,
+            items: items.length
+        });
+
+        // Once the archive or JSON has started streaming the only option is to abort it
+        if (res.headersSent) {
+            res.destroy(error);
+            return;
+        }
+
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: 'Batch capture failed',
+            message: error.message,
+            processingTime,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const diffService = require('../services/diffService');
+const { validateDiffRequest, toCaptureOptions } = require('../middleware/validator');
+const logger = require('../utils/logger');
+const { redactSecrets } = require('../utils/helpers');
+
+/**
+ * POST /api/diff
+ * Capture a page and compare it with a baseline page or an uploaded
+ * baseline image. Returns the comparison as JSON with a base64 diff image,
+ * or the diff image itself when the request prefers images.
+ */
+router.post('/diff', validateDiffRequest, async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+        const { baselineUrl, baselineImage, threshold, tolerance, sizeMismatch, ...params } = req.body;
+        const options = toCaptureOptions(params, req.get('Accept'));
+        const baseline = baselineUrl
+            ? { url: baselineUrl }
+            : { image: Buffer.from(baselineImage.replace(/^data:[^,]*,/, ''), 'base64') };
+
+        logger.info('POST diff request received', {
+            options: redactSecrets(options),
+            baselineUrl,
+            baselineImageSize: baseline.image?.length,
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        const { diffImage, ...result } = await diffService.run(options, baseline, { threshold, tolerance, sizeMismatch });
+        const processingTime = Date.now() - startTime;
+        const acceptsJson = req.accepts(['json', 'image/*']) === 'json';
+
+        res.set({
+            'X-Processing-Time': `${processingTime}ms`,
+            'X-Diff-Passed': result.passed,
+            'X-Diff-Ratio': result.ratio,
+            'X-Diff-Changed-Pixels': result.changedPixels,
+            'X-Diff-Regions': result.regionCount
+        });
+
+        if (acceptsJson) {
+            res.json({
+                success: true,
+                data: {
+                    ...result,
+                    diffImage: diffImage.toString('base64'),
+                    contentType: 'image/png',
+                    processingTime
+                },
+                timestamp: new Date().toISOString()
+            });
+        } else {
+            res.set({
+                'Content-Type': 'image/png',
+                'Content-Length': diffImage.length,
+                'X-Image-Width': result.dimensions.width,
+                'X-Image-Height': result.dimensions.height,
+                'Cache-Control': 'no-store'
+            });
+            res.send(diffImage);
+        }
+
+        logger.info('POST diff completed', {
+            processingTime,
+            passed: result.passed,
+            ratio: result.ratio,
+            regions: result.regionCount
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+
+        logger.error('POST diff failed', {
+            error: error.message,
+            processingTime,
+            options: redactSecrets({ ...req.body, baselineImage: undefined })
+        });
+
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+
+        res.status(error.statusCode || (error.message.includes('Invalid URL') ? 400 : 500))
+           .json({
+               success: false,
+               error: 'Visual diff failed',
+               message: error.message,
+               type: error.type,
+               retryAfter: error.retryAfter,
+               processingTime,
+               timestamp: new Date().toISOString()
+           });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const os = require('os');
 const logger = require('../utils/logger');
+const screenshotService = require('../services/screenshotService');
 
 // Health check configuration
 const MEMORY_THRESHOLD = parseFloat(process.env.MEMORY_THRESHOLD) || 0.85; // 85%
@@ -123,6 +124,18 @@ async function getHealthData() {
         if (heapUsagePercent > 0.95) critical = true;
     }
 
+    // Check browser pool
+    const browserPool = screenshotService.getPoolStats();
+    if (browserPool.warmedUp && browserPool.size === 0 && browserPool.pendingLaunches === 0) {
+        issues.push(`No browsers available in pool${browserPool.lastLaunchError ? `: ${browserPool.lastLaunchError}` : ''}`);
+    }
+
+    // Check capture queue
+    const captureQueue = screenshotService.getQueueStats();
+    if (captureQueue.depth >= captureQueue.maxQueueLength) {
+        issues.push(`Capture queue full: ${captureQueue.depth} waiting`);
+    }
+
     const status = issues.length === 0 ? 'healthy' : critical ? 'critical' : 'warning';
 
     return {
@@ -148,6 +161,18 @@ async function getHealthData() {
             cpu: {
                 usagePercent: (cpuUsagePercent * 100).toFixed(1),
                 loadAverage: os.loadavg()
+            },
+            browserPool: {
+                size: browserPool.size,
+                maxBrowsers: browserPool.maxBrowsers,
+                activePages: browserPool.activePages,
+                crashed: browserPool.crashed
+            },
+            captureQueue: {
+                active: captureQueue.active,
+                depth: captureQueue.depth,
+                maxConcurrent: captureQueue.maxConcurrent,
+                avgWaitMs: captureQueue.avgWaitMs
             }
         },
         environment: {
@@ -193,6 +218,9 @@ async function getDetailedHealthData() {
                 speed: cpus[0]?.speed,
                 usage: basicHealth.metrics.cpu
             },
+            browserPool: screenshotService.getPoolStats(),
+            captureQueue: screenshotService.getQueueStats(),
+            cache: screenshotService.getCacheStats(),
             gc: {
                 heapCodeStatistics: typeof v8 !== 'undefined' ? v8.getHeapCodeStatistics() : null,
                 heapSpaceStatistics: typeof v8 !== 'undefined' ? v8.getHeapSpaceStatistics() : null
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const express = require('express');
+const router = express.Router();
+const jobService = require('../services/jobService');
+const { validateJobRequest, toCaptureOptions } = require('../middleware/validator');
+const logger = require('../utils/logger');
+const { redactSecrets } = require('../utils/helpers');
+
+/**
+ * Send a job API error in the same shape as the capture routes
+ */
+const sendJobError = (res, error, message) => {
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+
+    res.status(error.statusCode || 500).json({
+        success: false,
+        error: message,
+        message: error.message,
+        type: error.type,
+        timestamp: new Date().toISOString()
+    });
+};
+
+/**
+ * POST /api/jobs
+ * Queue a screenshot and return its job ID straight away. Takes the same
+ * parameters as POST /api/screenshot, plus callbackUrl and callbackIncludeImage.
+ */
+router.post('/jobs', validateJobRequest, async (req, res) => {
+    try {
+        const { callbackUrl, callbackIncludeImage, ...params } = req.body;
+        const options = toCaptureOptions(params, req.get('Accept'));
+        const callback = callbackUrl ? {
+            url: callbackUrl,
+            includeImage: callbackIncludeImage,
+            baseUrl: process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`
+        } : null;
+
+        logger.info('POST job request received', {
+            options: redactSecrets(options),
+            callbackUrl,
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        const job = await jobService.submit(options, callback);
+
+        res.status(202)
+           .location(`/api/jobs/${job.id}`)
+           .json({
+               success: true,
+               data: jobService.present(job),
+               timestamp: new Date().toISOString()
+           });
+    } catch (error) {
+        logger.error('POST job failed', { error: error.message, options: redactSecrets(req.body) });
+        sendJobError(res, error, 'Job could not be created');
+    }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Job status and progress
+ */
+router.get('/jobs/:id', async (req, res) => {
+    try {
+        const job = await jobService.get(req.params.id);
+
+        res.json({
+            success: true,
+            data: jobService.present(job),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendJobError(res, error, 'Job lookup failed');
+    }
+});
+
+/**
+ * GET /api/jobs/:id/result
+ * The captured image of a completed job
+ */
+router.get('/jobs/:id/result', async (req, res) => {
+    try {
+        const job = await jobService.get(req.params.id);
+
+        if (job.status !== 'completed') {
+            return res.status(409).json({
+                success: false,
+                error: 'Result not available',
+                message: job.status === 'failed'
+                    ? `Job failed: ${job.error?.message}`
+                    : `Job is ${job.status}`,
+                status: job.status,
+                progress: job.progress,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { result } = job;
+        const stream = fs.createReadStream(result.path);
+
+        stream.once('open', () => {
+            res.set({
+                'Content-Type': result.contentType,
+                'Content-Length': result.size,
+                'X-Image-Width': result.dimensions?.width,
+                'X-Image-Height': result.dimensions?.height,
+                'Cache-Control': 'private, max-age=60'
+            });
+            stream.pipe(res);
+        });
+
+        stream.once('error', (error) => {
+            logger.error('Job result could not be read', { id: job.id, error: error.message });
+            sendJobError(res, {
+                message: error.code === 'ENOENT' ? `Result of job ${job.id} has expired` : error.message,
+                statusCode: error.code === 'ENOENT' ? 404 : 500,
+                type: error.code === 'ENOENT' ? 'JOB_NOT_FOUND' : undefined
+            }, 'Result not available');
+        });
+    } catch (error) {
+        sendJobError(res, error, 'Result not available');
+    }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a queued or running job, or delete a finished job and its result
+ */
+router.delete('/jobs/:id', async (req, res) => {
+    try {
+        const job = await jobService.cancel(req.params.id);
+
+        logger.info('Job cancelled or deleted', { id: job.id, status: job.status, deleted: Boolean(job.deleted) });
+
+        res.json({
+            success: true,
+            data: jobService.present(job),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendJobError(res, error, 'Job could not be cancelled');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const metrics = require('../services/metrics');
+const logger = require('../utils/logger');
+
+/**
+ * GET /metrics
+ * Prometheus metrics aggregated across all cluster workers
+ */
+router.get('/', async (req, res) => {
+    try {
+        const body = await metrics.getClusterMetrics();
+
+        res.set('Content-Type', metrics.contentType);
+        res.send(body);
+    } catch (error) {
+        logger.error('Metrics request failed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve metrics',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+module.exports = router;
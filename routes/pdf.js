@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const pdfService = require('../services/pdfService');
+const { validatePdfRequest } = require('../middleware/validator');
+const logger = require('../utils/logger');
+const { redactSecrets, cacheControlFor } = require('../utils/helpers');
+
+const PDF_OPTION_KEYS = [
+    'url',
+    'format',
+    'width',
+    'height',
+    'margin',
+    'landscape',
+    'printBackground',
+    'pageRanges',
+    'headerTemplate',
+    'footerTemplate',
+    'scale',
+    'media',
+    'waitUntil',
+    'waitForSelector',
+    'waitForFunction',
+    'delay',
+    'timeout',
+    'blockResources',
+    'blockUrls',
+    'blockAds',
+    'userAgent',
+    'headers',
+    'cookies',
+    'authenticate',
+    'injectCss',
+    'injectScript',
+    'hideSelectors',
+    'removeSelectors'
+];
+
+/**
+ * Pick the PDF options from validated request data
+ */
+const pickPdfOptions = (data) => {
+    return PDF_OPTION_KEYS.reduce((options, key) => {
+        if (data[key] !== undefined) {
+            options[key] = data[key];
+        }
+        return options;
+    }, {});
+};
+
+/**
+ * Send a PDF as a binary download
+ */
+const sendPdfBinary = (res, result, options, processingTime) => {
+    const pdfBuffer = Buffer.from(result.pdf, 'base64');
+
+    res.set({
+        'Content-Type': result.contentType,
+        'Content-Length': pdfBuffer.length,
+        'Content-Disposition': 'inline; filename="document.pdf"',
+        'X-Processing-Time': `${processingTime}ms`,
+        'X-Queue-Time': `${result.queueTime}ms`,
+        'X-Pdf-Pages': result.pages,
+        'X-Blocked-Requests': result.blockedRequests,
+        'X-Script-Errors': result.scriptErrors.length,
+        'Cache-Control': cacheControlFor(options)
+    });
+
+    res.send(pdfBuffer);
+};
+
+/**
+ * Send a failed PDF request
+ */
+const sendPdfError = (res, error, processingTime) => {
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+
+    res.status(error.statusCode || (error.message.includes('Invalid URL') ? 400 : 500))
+       .json({
+           success: false,
+           error: 'PDF generation failed',
+           message: error.message,
+           retryAfter: error.retryAfter,
+           processingTime,
+           timestamp: new Date().toISOString()
+       });
+};
+
+/**
+ * GET /api/pdf
+ * Renders a PDF with query parameters
+ */
+router.get('/pdf', validatePdfRequest, async (req, res) => {
+    const startTime = Date.now();
+    const options = pickPdfOptions(req.query);
+
+    try {
+        logger.info('GET pdf request received', {
+            options: redactSecrets(options),
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        const result = await pdfService.renderPdf(options);
+        const processingTime = Date.now() - startTime;
+
+        sendPdfBinary(res, result, options, processingTime);
+
+        logger.info('GET pdf completed', {
+            processingTime,
+            size: result.size,
+            pages: result.pages
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+
+        logger.error('GET pdf failed', {
+            error: error.message,
+            processingTime,
+            options: redactSecrets(options)
+        });
+
+        sendPdfError(res, error, processingTime);
+    }
+});
+
+/**
+ * POST /api/pdf
+ * Renders a PDF with JSON body parameters
+ */
+router.post('/pdf', validatePdfRequest, async (req, res) => {
+    const startTime = Date.now();
+    const options = pickPdfOptions(req.body);
+
+    try {
+        logger.info('POST pdf request received', {
+            options: redactSecrets(options),
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        const result = await pdfService.renderPdf(options);
+        const processingTime = Date.now() - startTime;
+
+        // Response format based on Accept header
+        const acceptsJson = req.accepts(['json', 'application/pdf']) === 'json';
+
+        if (acceptsJson) {
+            res.set({
+                'Content-Type': 'application/json',
+                'X-Processing-Time': `${processingTime}ms`,
+                'X-Queue-Time': `${result.queueTime}ms`
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    pdf: result.pdf,
+                    contentType: result.contentType,
+                    size: result.size,
+                    pages: result.pages,
+                    blockedRequests: result.blockedRequests,
+                    scriptErrors: result.scriptErrors,
+                    queueTime: result.queueTime,
+                    processingTime
+                },
+                timestamp: new Date().toISOString()
+            });
+        } else {
+            sendPdfBinary(res, result, options, processingTime);
+        }
+
+        logger.info('POST pdf completed', {
+            processingTime,
+            size: result.size,
+            pages: result.pages,
+            responseType: acceptsJson ? 'json' : 'binary'
+        });
+
+    } catch (error) {
+        const processingTime = Date.now() - startTime;
+
+        logger.error('POST pdf failed', {
+            error: error.message,
+            processingTime,
+            options: redactSecrets(options)
+        });
+
+        sendPdfError(res, error, processingTime);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const scheduleService = require('../services/scheduleService');
+const { validateScheduleRequest, toCaptureOptions } = require('../middleware/validator');
+const logger = require('../utils/logger');
+const { redactSecrets } = require('../utils/helpers');
+
+/**
+ * Send a schedule API error in the same shape as the capture routes
+ */
+const sendScheduleError = (res, error, message) => {
+    res.status(error.statusCode || 500).json({
+        success: false,
+        error: message,
+        message: error.message,
+        type: error.type,
+        timestamp: new Date().toISOString()
+    });
+};
+
+/**
+ * POST /api/schedules
+ * Capture a page on a cron schedule. Takes the same parameters as
+ * POST /api/screenshot plus `cron`, an optional `name` and a `destination`.
+ */
+router.post('/schedules', validateScheduleRequest, async (req, res) => {
+    try {
+        const { name, cron, destination, ...params } = req.body;
+        const options = toCaptureOptions(params, req.get('Accept'));
+
+        logger.info('POST schedule request received', {
+            name,
+            cron,
+            destination: destination.type,
+            options: redactSecrets(options),
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        const schedule = await scheduleService.create({ name, cron, options, destination });
+
+        res.status(201)
+           .location(`/api/schedules/${schedule.id}`)
+           .json({
+               success: true,
+               data: scheduleService.present(schedule),
+               timestamp: new Date().toISOString()
+           });
+    } catch (error) {
+        logger.error('POST schedule failed', { error: error.message });
+        sendScheduleError(res, error, 'Schedule could not be created');
+    }
+});
+
+/**
+ * GET /api/schedules
+ * List schedules with their last run
+ */
+router.get('/schedules', async (req, res) => {
+    try {
+        const schedules = await scheduleService.list();
+
+        res.json({
+            success: true,
+            data: schedules.map(schedule => scheduleService.present(schedule)),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Schedule listing failed:', error);
+        sendScheduleError(res, error, 'Failed to list schedules');
+    }
+});
+
+/**
+ * GET /api/schedules/:id
+ * A schedule with its recent runs
+ */
+router.get('/schedules/:id', async (req, res) => {
+    try {
+        const schedule = await scheduleService.get(req.params.id);
+
+        res.json({
+            success: true,
+            data: scheduleService.present(schedule),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendScheduleError(res, error, 'Schedule lookup failed');
+    }
+});
+
+/**
+ * GET /api/schedules/:id/runs
+ * Recent runs of a schedule, newest first
+ */
+router.get('/schedules/:id/runs', async (req, res) => {
+    try {
+        const { id, running, runCounts, runs } = await scheduleService.get(req.params.id);
+
+        res.json({
+            success: true,
+            data: { id, running, runCounts, runs },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendScheduleError(res, error, 'Schedule lookup failed');
+    }
+});
+
+/**
+ * POST /api/schedules/:id/pause
+ * POST /api/schedules/:id/resume
+ * Stop or restart firing a schedule. A run in progress is left to finish.
+ */
+router.post('/schedules/:id/:action(pause|resume)', async (req, res) => {
+    try {
+        const { action } = req.params;
+        const schedule = await scheduleService[action](req.params.id);
+
+        logger.info(`Schedule ${action === 'pause' ? 'paused' : 'resumed'}`, { id: schedule.id });
+
+        res.json({
+            success: true,
+            data: scheduleService.present(schedule),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendScheduleError(res, error, `Schedule could not be ${req.params.action === 'pause' ? 'paused' : 'resumed'}`);
+    }
+});
+
+/**
+ * DELETE /api/schedules/:id
+ * Delete a schedule and its run history. Stored captures are kept.
+ */
+router.delete('/schedules/:id', async (req, res) => {
+    try {
+        const schedule = await scheduleService.remove(req.params.id);
+
+        logger.info('Schedule deleted', { id: schedule.id });
+
+        res.json({
+            success: true,
+            data: { id: schedule.id, deleted: true },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendScheduleError(res, error, 'Schedule could not be deleted');
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,100 @@ const router = express.Router();
 const screenshotService = require('../services/screenshotService');
 const { validateScreenshotRequest } = require('../middleware/validator');
 const logger = require('../utils/logger');
+const { negotiateImageFormat, redactSecrets, cacheControlFor } = require('../utils/helpers');
+const { listDevicePresets } = require('../utils/devices');
+const templateStore = require('../services/templateStore');
+const storageService = require('../services/storageService');
+
+/**
+ * Send the separate images of a multi-viewport capture, which have no
+ * single binary form, as JSON
+ */
+const sendViewportImages = (res, result, processingTime) => {
+    res.set({
+        'X-Processing-Time': `${processingTime}ms`,
+        'X-Queue-Time': `${result.queueTime}ms`,
+        'X-Cached': result.cached
+    });
+
+    res.json({
+        success: true,
+        data: {
+            images: result.images,
+            size: result.size,
+            blockedRequests: result.blockedRequests,
+            scriptErrors: result.scriptErrors,
+            cached: result.cached,
+            queueTime: result.queueTime,
+            processingTime
+        },
+        timestamp: new Date().toISOString()
+    });
+};
+
+/**
+ * Store a capture, or each of its viewport images, and answer with links
+ * and metadata instead of the image data
+ */
+const sendStoredCapture = async (req, res, result, startTime, { url, storageKey }) => {
+    const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const store = (image, variables, keyTemplate = storageKey) => storageService.store(Buffer.from(image.image, 'base64'), {
+        contentType: image.contentType,
+        url,
+        keyTemplate,
+        variables,
+        baseUrl
+    });
+
+    let stored;
+    if (result.images) {
+        // Each image needs its own key: the viewport goes into templates
+        // without one, and repeated labels are numbered
+        const keyTemplate = storageService.distinctKeyTemplate(storageKey, 'viewport');
+        const labels = result.images.map(({ label }) => label);
+        const viewportKey = (label, index) => (labels.indexOf(label) === labels.lastIndexOf(label) ? label : `${label}-${index + 1}`);
+
+        stored = {
+            images: await Promise.all(result.images.map(async ({ image, ...details }, index) => ({
+                ...details,
+                ...(await store({ image, contentType: details.contentType }, { viewport: viewportKey(details.label, index) }, keyTemplate))
+            }))),
+            size: result.size
+        };
+    } else {
+        stored = {
+            ...(await store(result, {})),
+            dimensions: result.dimensions,
+            viewports: result.viewports
+        };
+    }
+
+    const processingTime = Date.now() - startTime;
+    res.set({
+        'X-Processing-Time': `${processingTime}ms`,
+        'X-Queue-Time': `${result.queueTime}ms`,
+        'X-Cached': result.cached
+    });
+
+    if (stored.url) {
+        res.location(stored.url);
+    }
+
+    res.status(201).json({
+        success: true,
+        data: {
+            ...stored,
+            blockedRequests: result.blockedRequests,
+            scriptErrors: result.scriptErrors,
+            cached: result.cached,
+            queueTime: result.queueTime,
+            processingTime
+        },
+        timestamp: new Date().toISOString()
+    });
+
+    return stored;
+};
 
 /**
  * GET /api/screenshot
@@ -18,28 +112,90 @@ router.get('/screenshot', validateScreenshotRequest, async (req, res) => {
             height: req.query.height,
             type: req.query.type,
             format: req.query.format,
+            lossless: req.query.lossless,
+            effort: req.query.effort,
             quality: req.query.quality,
-            isMobile: req.query.mobile
+            isMobile: req.query.mobile,
+            device: req.query.device,
+            waitUntil: req.query.waitUntil,
+            waitForSelector: req.query.waitForSelector,
+            waitForFunction: req.query.waitForFunction,
+            delay: req.query.delay,
+            timeout: req.query.timeout,
+            blockResources: req.query.blockResources,
+            blockUrls: req.query.blockUrls,
+            blockAds: req.query.blockAds,
+            userAgent: req.query.userAgent,
+            headers: req.query.headers,
+            cookies: req.query.cookies,
+            authenticate: req.query.authenticate,
+            injectCss: req.query.injectCss,
+            injectScript: req.query.injectScript,
+            hideSelectors: req.query.hideSelectors,
+            removeSelectors: req.query.removeSelectors,
+            scale: req.query.scale,
+            selector: req.query.selector,
+            selectorIndex: req.query.selectorIndex,
+            selectorTimeout: req.query.selectorTimeout,
+            padding: req.query.padding,
+            clip: req.query.clip,
+            scrollTo: req.query.scrollTo,
+            thumbWidth: req.query.thumbWidth,
+            thumbHeight: req.query.thumbHeight,
+            fit: req.query.fit,
+            position: req.query.position,
+            maxHeight: req.query.maxHeight,
+            cache: req.query.cache,
+            ttl: req.query.ttl,
+            viewports: req.query.viewports,
+            montage: req.query.montage,
+            montageSpacing: req.query.montageSpacing,
+            montageBackground: req.query.montageBackground,
+            montageLabels: req.query.montageLabels
         };
 
+        if (options.format === 'auto') {
+            options.format = negotiateImageFormat(req.get('Accept'));
+            res.vary('Accept');
+        }
+
         logger.info('GET screenshot request received', { 
-            options, 
+            options: redactSecrets(options),
             ip: req.ip,
             userAgent: req.get('User-Agent')
         });
 
         const result = await screenshotService.takeScreenshot(options);
+
+        if (req.query.store) {
+            const stored = await sendStoredCapture(req, res, result, startTime, {
+                url: options.url && screenshotService.resolveUrl(options.url),
+                storageKey: req.query.storageKey
+            });
+            logger.info('GET screenshot stored', { processingTime: Date.now() - startTime, key: stored.key, imageCount: stored.images?.length });
+            return;
+        }
+
         const processingTime = Date.now() - startTime;
 
+        if (result.images) {
+            sendViewportImages(res, result, processingTime);
+            logger.info('GET screenshot completed', { processingTime, imageCount: result.images.length, cached: result.cached });
+            return;
+        }
+
         // Set response headers
         res.set({
             'Content-Type': result.contentType,
             'Content-Length': Buffer.from(result.image, 'base64').length,
             'X-Processing-Time': `${processingTime}ms`,
+            'X-Queue-Time': `${result.queueTime}ms`,
             'X-Image-Width': result.dimensions?.width,
             'X-Image-Height': result.dimensions?.height,
+            'X-Blocked-Requests': result.blockedRequests,
+            'X-Script-Errors': result.scriptErrors?.length || 0,
             'X-Cached': result.cached,
-            'Cache-Control': 'public, max-age=3600'
+            'Cache-Control': cacheControlFor(options)
         });
 
         // Send base64 encoded image
@@ -59,14 +215,18 @@ router.get('/screenshot', validateScreenshotRequest, async (req, res) => {
         logger.error('GET screenshot failed', {
             error: error.message,
             processingTime,
-            options: req.query
+            options: redactSecrets(req.query)
         });
 
-        res.status(error.message.includes('Invalid URL') ? 400 : 
-                  error.message.includes('Too many') ? 429 : 500)
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+
+        res.status(error.statusCode || (error.message.includes('Invalid URL') ? 400 : 500))
            .json({
                error: 'Screenshot generation failed',
                message: error.message,
+               retryAfter: error.retryAfter,
                processingTime,
                timestamp: new Date().toISOString()
            });
@@ -83,31 +243,90 @@ router.post('/screenshot', validateScreenshotRequest, async (req, res) => {
     try {
         const options = {
             url: req.body.url || req.query.url,
+            html: req.body.html,
+            template: req.body.template,
+            data: req.body.data,
             width: req.body.width || req.query.width,
             height: req.body.height || req.query.height,
             type: req.body.type || req.query.type,
             format: req.body.format || req.query.format,
+            lossless: req.body.lossless ?? req.query.lossless,
+            effort: req.body.effort ?? req.query.effort,
             quality: req.body.quality || req.query.quality,
-            isMobile: req.body.mobile || req.query.mobile
+            isMobile: req.body.mobile ?? req.query.mobile,
+            device: req.body.device || req.query.device,
+            waitUntil: req.body.waitUntil ?? req.query.waitUntil,
+            waitForSelector: req.body.waitForSelector ?? req.query.waitForSelector,
+            waitForFunction: req.body.waitForFunction ?? req.query.waitForFunction,
+            delay: req.body.delay ?? req.query.delay,
+            timeout: req.body.timeout ?? req.query.timeout,
+            blockResources: req.body.blockResources ?? req.query.blockResources,
+            blockUrls: req.body.blockUrls ?? req.query.blockUrls,
+            blockAds: req.body.blockAds ?? req.query.blockAds,
+            userAgent: req.body.userAgent ?? req.query.userAgent,
+            headers: req.body.headers ?? req.query.headers,
+            cookies: req.body.cookies ?? req.query.cookies,
+            authenticate: req.body.authenticate ?? req.query.authenticate,
+            injectCss: req.body.injectCss ?? req.query.injectCss,
+            injectScript: req.body.injectScript ?? req.query.injectScript,
+            hideSelectors: req.body.hideSelectors ?? req.query.hideSelectors,
+            removeSelectors: req.body.removeSelectors ?? req.query.removeSelectors,
+            scale: req.body.scale ?? req.query.scale,
+            selector: req.body.selector || req.query.selector,
+            selectorIndex: req.body.selectorIndex ?? req.query.selectorIndex,
+            selectorTimeout: req.body.selectorTimeout ?? req.query.selectorTimeout,
+            padding: req.body.padding ?? req.query.padding,
+            clip: req.body.clip || req.query.clip,
+            scrollTo: req.body.scrollTo ?? req.query.scrollTo,
+            thumbWidth: req.body.thumbWidth ?? req.query.thumbWidth,
+            thumbHeight: req.body.thumbHeight ?? req.query.thumbHeight,
+            fit: req.body.fit || req.query.fit,
+            position: req.body.position || req.query.position,
+            maxHeight: req.body.maxHeight ?? req.query.maxHeight,
+            cache: req.body.cache ?? req.query.cache,
+            ttl: req.body.ttl ?? req.query.ttl,
+            viewports: req.body.viewports ?? req.query.viewports,
+            montage: req.body.montage ?? req.query.montage,
+            montageSpacing: req.body.montageSpacing ?? req.query.montageSpacing,
+            montageBackground: req.body.montageBackground ?? req.query.montageBackground,
+            montageLabels: req.body.montageLabels ?? req.query.montageLabels
         };
 
+        if (options.format === 'auto') {
+            options.format = negotiateImageFormat(req.get('Accept'));
+            res.vary('Accept');
+        }
+
         logger.info('POST screenshot request received', { 
-            options, 
+            options: redactSecrets(options),
             ip: req.ip,
             userAgent: req.get('User-Agent')
         });
 
         const result = await screenshotService.takeScreenshot(options);
+
+        if (req.body.store) {
+            const stored = await sendStoredCapture(req, res, result, startTime, {
+                url: options.url && screenshotService.resolveUrl(options.url),
+                storageKey: req.body.storageKey
+            });
+            logger.info('POST screenshot stored', { processingTime: Date.now() - startTime, key: stored.key, imageCount: stored.images?.length });
+            return;
+        }
+
         const processingTime = Date.now() - startTime;
 
         // Response format based on Accept header
         const acceptsJson = req.accepts(['json', 'image/*']) === 'json';
 
-        if (acceptsJson) {
+        if (result.images) {
+            sendViewportImages(res, result, processingTime);
+        } else if (acceptsJson) {
             // JSON response with base64 image
             res.set({
                 'Content-Type': 'application/json',
                 'X-Processing-Time': `${processingTime}ms`,
+                'X-Queue-Time': `${result.queueTime}ms`,
                 'X-Cached': result.cached
             });
 
@@ -118,7 +337,11 @@ router.post('/screenshot', validateScreenshotRequest, async (req, res) => {
                     contentType: result.contentType,
                     size: result.size,
                     dimensions: result.dimensions,
+                    viewports: result.viewports,
+                    blockedRequests: result.blockedRequests,
+                    scriptErrors: result.scriptErrors,
                     cached: result.cached,
+                    queueTime: result.queueTime,
                     processingTime
                 },
                 timestamp: new Date().toISOString()
@@ -129,10 +352,13 @@ router.post('/screenshot', validateScreenshotRequest, async (req, res) => {
                 'Content-Type': result.contentType,
                 'Content-Length': Buffer.from(result.image, 'base64').length,
                 'X-Processing-Time': `${processingTime}ms`,
+                'X-Queue-Time': `${result.queueTime}ms`,
                 'X-Image-Width': result.dimensions?.width,
                 'X-Image-Height': result.dimensions?.height,
+                'X-Blocked-Requests': result.blockedRequests,
+                'X-Script-Errors': result.scriptErrors?.length || 0,
                 'X-Cached': result.cached,
-                'Cache-Control': 'public, max-age=3600'
+                'Cache-Control': cacheControlFor(options)
             });
 
             const imageBuffer = Buffer.from(result.image, 'base64');
@@ -144,7 +370,7 @@ router.post('/screenshot', validateScreenshotRequest, async (req, res) => {
             imageSize: result.size,
             cached: result.cached,
             dimensions: result.dimensions,
-            responseType: acceptsJson ? 'json' : 'binary'
+            responseType: acceptsJson || result.images ? 'json' : 'binary'
         });
 
     } catch (error) {
@@ -153,15 +379,19 @@ router.post('/screenshot', validateScreenshotRequest, async (req, res) => {
         logger.error('POST screenshot failed', {
             error: error.message,
             processingTime,
-            options: req.body
+            options: redactSecrets(req.body)
         });
 
-        res.status(error.message.includes('Invalid URL') ? 400 : 
-                  error.message.includes('Too many') ? 429 : 500)
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+
+        res.status(error.statusCode || (error.message.includes('Invalid URL') ? 400 : 500))
            .json({
                success: false,
                error: 'Screenshot generation failed',
                message: error.message,
+               retryAfter: error.retryAfter,
                processingTime,
                timestamp: new Date().toISOString()
            });
@@ -170,11 +400,13 @@ router.post('/screenshot', validateScreenshotRequest, async (req, res) => {
 
 /**
  * GET /api/screenshot/stats
- * Get service statistics
+ * Get service statistics, aggregated across cluster workers unless scope=worker
  */
-router.get('/screenshot/stats', (req, res) => {
+router.get('/screenshot/stats', async (req, res) => {
     try {
-        const stats = screenshotService.getStats();
+        const stats = req.query.scope === 'worker'
+            ? screenshotService.getStats()
+            : await screenshotService.getClusterStats();
         
         res.json({
             success: true,
@@ -198,4 +430,38 @@ router.get('/screenshot/stats', (req, res) => {
     }
 });
 
+/**
+ * GET /api/devices
+ * List the device emulation presets accepted by the device option
+ */
+router.get('/devices', (req, res) => {
+    res.json({
+        success: true,
+        data: listDevicePresets(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * GET /api/templates
+ * List the stored templates accepted by the template option
+ */
+router.get('/templates', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await templateStore.list(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Template listing failed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list templates',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,100 @@
+const baselineStore = require('./baselineStore');
+const diffService = require('./diffService');
+const logger = require('../utils/logger');
+const { redactSecrets } = require('../utils/helpers');
+
+/**
+ * Visual regression checks against named baselines. A baseline keeps the
+ * capture options it was created with, so every check renders the page the
+ * same way; a check's capture can then be approved as the next version.
+ */
+class BaselineService {
+    /**
+     * Capture a page and store it as the next version of a baseline
+     * @param {string} name - Baseline name
+     * @param {Object} options - Capture options, reused by every check
+     * @returns {Promise<Object>} - Baseline record
+     */
+    async save(name, options) {
+        baselineStore.resolveDir(name);
+
+        const { cache, ttl, ...captureOptions } = options;
+        const capture = await diffService.capture({ ...captureOptions, cache: false });
+
+        return baselineStore.saveVersion(name, capture.png, {
+            options: captureOptions,
+            dimensions: capture.dimensions
+        });
+    }
+
+    /**
+     * Capture the page again with the baseline's options and compare the
+     * capture with the current version
+     * @param {string} name - Baseline name
+     * @param {Object} settings - Comparison settings, see diffService.compare()
+     * @returns {Promise<Object>} - Check record, comparison result, capture and diff image
+     */
+    async check(name, settings) {
+        const baseline = await baselineStore.get(name);
+        const [capture, reference] = await Promise.all([
+            diffService.capture({ ...baseline.options, cache: false }),
+            baselineStore.readImage(name, { version: baseline.version })
+        ]);
+
+        const { diffImage, ...result } = await diffService.compare(capture.png, reference, settings);
+        const check = await baselineStore.addCheck(name, {
+            baselineVersion: baseline.version,
+            passed: result.passed,
+            ratio: result.ratio,
+            changedPixels: result.changedPixels,
+            regionCount: result.regionCount,
+            dimensions: capture.dimensions
+        }, capture.png, diffImage);
+
+        logger.info('Baseline checked', { name, checkId: check.id, passed: result.passed, ratio: result.ratio });
+
+        return { check, result, capture: capture.png, diffImage };
+    }
+
+    approve(name, checkId) {
+        return baselineStore.approve(name, checkId);
+    }
+
+    get(name) {
+        return baselineStore.get(name);
+    }
+
+    list() {
+        return baselineStore.list();
+    }
+
+    remove(name) {
+        return baselineStore.remove(name);
+    }
+
+    readImage(name, which) {
+        return baselineStore.readImage(name, which);
+    }
+
+    /**
+     * Public view of a baseline, with stored credentials masked
+     * @param {Object} baseline - Baseline record
+     * @returns {Object} - Baseline as returned by the API
+     */
+    present(baseline) {
+        const base = `/api/baselines/${baseline.name}`;
+
+        return {
+            ...baseline,
+            options: redactSecrets(baseline.options),
+            links: {
+                self: base,
+                image: `${base}/image`,
+                check: `${base}/check`,
+                approve: `${base}/approve`
+            }
+        };
+    }
+}
+
+module.exports = new BaselineService();
@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { sleep } = require('../utils/helpers');
+const { ScreenshotError } = require('../middleware/errorHandler');
+
+const BASELINES_DIR = path.resolve(process.env.BASELINES_DIR || path.join(__dirname, '..', 'data', 'baselines'));
+const BASELINE_HISTORY = parseInt(process.env.BASELINE_HISTORY) || 10;
+const BASELINE_CHECK_HISTORY = parseInt(process.env.BASELINE_CHECK_HISTORY) || 20;
+const BASELINE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,99}$/i;
+const CHECK_ID_PATTERN = /^[0-9a-f-]{36}$/;
+const METADATA_FILE = 'baseline.json';
+
+// Changes hold a lock file for milliseconds; one this old was left by a
+// process that died while holding it
+const LOCK_STALE_MS = 30000;
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 25;
+
+/**
+ * Named baselines on local disk. Each baseline is a directory holding
+ * baseline.json, one PNG per retained version and the captures and diff
+ * images of recent checks:
+ *
+ *   <BASELINES_DIR>/<name>/baseline.json
+ *   <BASELINES_DIR>/<name>/v3.png
+ *   <BASELINES_DIR>/<name>/checks/<checkId>.png
+ *   <BASELINES_DIR>/<name>/checks/<checkId>-diff.png
+ *
+ * The oldest versions and checks are deleted once there are more than
+ * BASELINE_HISTORY and BASELINE_CHECK_HISTORY of them. Every cluster worker
+ * reads and writes these files, so changes to a baseline hold
+ * `<BASELINES_DIR>/<name>.lock` while they run.
+ */
+class BaselineStore {
+    constructor() {
+        this.dir = BASELINES_DIR;
+        this.historySize = BASELINE_HISTORY;
+        this.checkHistorySize = BASELINE_CHECK_HISTORY;
+        this.locks = new Map();
+    }
+
+    /**
+     * Directory of a baseline, refusing names that could escape BASELINES_DIR
+     * @param {string} name - Baseline name
+     * @returns {string} - Absolute path
+     */
+    resolveDir(name) {
+        if (!BASELINE_NAME_PATTERN.test(name)) {
+            throw new ScreenshotError(
+                'Baseline names may only contain letters, numbers, dashes and underscores',
+                400,
+                'INVALID_BASELINE_NAME'
+            );
+        }
+
+        return path.join(this.dir, name);
+    }
+
+    /**
+     * Run changes to one baseline one after another, queued within this
+     * process and behind the baseline's lock file across processes
+     * @param {string} name - Baseline name
+     * @param {Function} task - Async change
+     * @returns {Promise<*>} - The task's result
+     */
+    async withLock(name, task) {
+        const previous = this.locks.get(name) || Promise.resolve();
+        const current = previous.catch(() => {}).then(() => this.withLockFile(name, task));
+        const settled = current.catch(() => {});
+
+        this.locks.set(name, settled);
+        settled.then(() => {
+            if (this.locks.get(name) === settled) {
+                this.locks.delete(name);
+            }
+        });
+
+        return current;
+    }
+
+    /**
+     * Hold a baseline's lock file while a task runs, taking over a stale one.
+     * The lock holds a random token, so a holder that outlived its lock never
+     * removes the one that replaced it.
+     * @param {string} name - Baseline name
+     * @param {Function} task - Async change
+     * @returns {Promise<*>} - The task's result
+     * @throws {ScreenshotError} - 503 BASELINE_BUSY when the lock is not released in time
+     */
+    async withLockFile(name, task) {
+        const lockPath = path.join(this.dir, `${name}.lock`);
+        const token = crypto.randomUUID();
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        for (;;) {
+            try {
+                await fs.promises.writeFile(lockPath, token, { flag: 'wx' });
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            const stat = await fs.promises.stat(lockPath).catch(() => null);
+            if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+                await this.breakStaleLock(name, lockPath, stat);
+            } else if (Date.now() > deadline) {
+                throw new ScreenshotError(`Baseline "${name}" is being changed by another request, try again`, 503, 'BASELINE_BUSY');
+            } else {
+                await sleep(LOCK_RETRY_MS);
+            }
+        }
+
+        try {
+            return await task();
+        } finally {
+            await this.releaseLock(name, lockPath, token).catch((error) => {
+                logger.warn('Failed to release baseline lock', { name, error: error.message });
+            });
+        }
+    }
+
+    /**
+     * Remove a stale lock file. Processes that find the same stale lock take
+     * turns through a second `.break` lock, and each removes it only if it is
+     * still the file it saw, so none of them removes a lock taken since.
+     * @param {string} name - Baseline name
+     * @param {string} lockPath - Lock file path
+     * @param {fs.Stats} seen - The stale lock as first seen
+     */
+    async breakStaleLock(name, lockPath, seen) {
+        const breakPath = `${lockPath}.break`;
+
+        try {
+            await (await fs.promises.open(breakPath, 'wx')).close();
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            // Breaking takes milliseconds, so an old break lock was left by a crash
+            const stat = await fs.promises.stat(breakPath).catch(() => null);
+            if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+                await fs.promises.unlink(breakPath).catch(() => {});
+            } else {
+                await sleep(LOCK_RETRY_MS);
+            }
+            return;
+        }
+
+        try {
+            const stat = await fs.promises.stat(lockPath).catch(() => null);
+            if (stat && stat.ino === seen.ino && stat.mtimeMs === seen.mtimeMs) {
+                logger.warn('Removing stale baseline lock', { name, lockedAt: stat.mtime.toISOString() });
+                await fs.promises.unlink(lockPath).catch(() => {});
+            }
+        } finally {
+            await fs.promises.unlink(breakPath).catch(() => {});
+        }
+    }
+
+    /**
+     * Remove a lock file if it still holds this holder's token
+     * @param {string} name - Baseline name
+     * @param {string} lockPath - Lock file path
+     * @param {string} token - Token written when the lock was taken
+     */
+    async releaseLock(name, lockPath, token) {
+        const current = await fs.promises.readFile(lockPath, 'utf8').catch((error) => {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        });
+
+        if (current !== token) {
+            logger.warn('Baseline lock was taken over before it was released', { name });
+            return;
+        }
+
+        await fs.promises.unlink(lockPath);
+    }
+
+    /**
+     * Read a baseline's metadata
+     * @param {string} name - Baseline name
+     * @returns {Promise<Object>} - Baseline record
+     */
+    async get(name) {
+        const filePath = path.join(this.resolveDir(name), METADATA_FILE);
+
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new ScreenshotError(`Baseline "${name}" was not found`, 404, 'BASELINE_NOT_FOUND');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Summaries of every stored baseline
+     * @returns {Promise<Object[]>} - Name, version and timestamps of each baseline
+     */
+    async list() {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(this.dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const baselines = await Promise.all(entries
+            .filter(entry => entry.isDirectory() && BASELINE_NAME_PATTERN.test(entry.name))
+            .map(entry => this.get(entry.name).catch(() => null)));
+
+        return baselines
+            .filter(Boolean)
+            .map(({ name, version, createdAt, updatedAt, checks }) => ({
+                name,
+                version,
+                createdAt,
+                updatedAt,
+                lastCheck: checks[0] || null
+            }))
+            .sort((first, second) => first.name.localeCompare(second.name));
+    }
+
+    async writeMetadata(baseline) {
+        const dir = this.resolveDir(baseline.name);
+        const filePath = path.join(dir, METADATA_FILE);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+
+        // Renaming keeps readers in other workers from seeing a partial file
+        await fs.promises.writeFile(tempPath, JSON.stringify(baseline, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    /**
+     * Store an image as the next version of a baseline, creating it if needed
+     * @param {string} name - Baseline name
+     * @param {Buffer} image - PNG image
+     * @param {Object} details - Version details
+     * @param {Object} details.options - Capture options used for later checks
+     * @param {Object} details.dimensions - Image size
+     * @returns {Promise<Object>} - Updated baseline record
+     */
+    saveVersion(name, image, { options, dimensions }) {
+        this.resolveDir(name);
+
+        return this.withLock(name, async () => {
+            const existing = await this.get(name).catch((error) => {
+                if (error.type === 'BASELINE_NOT_FOUND') return null;
+                throw error;
+            });
+            const now = new Date().toISOString();
+            const baseline = existing || { name, version: 0, createdAt: now, history: [], checks: [] };
+
+            baseline.options = options;
+            return this.appendVersion(baseline, image, { source: 'capture', dimensions });
+        });
+    }
+
+    /**
+     * Add a version to a baseline record and write it out. Callers hold the
+     * baseline's lock.
+     * @param {Object} baseline - Baseline record, updated in place
+     * @param {Buffer} image - PNG image
+     * @param {Object} entry - History details: source, dimensions and optionally checkId
+     * @returns {Promise<Object>} - Updated baseline record
+     */
+    async appendVersion(baseline, image, entry) {
+        const dir = this.resolveDir(baseline.name);
+        const version = baseline.version + 1;
+        const now = new Date().toISOString();
+
+        await fs.promises.mkdir(path.join(dir, 'checks'), { recursive: true });
+        await fs.promises.writeFile(path.join(dir, `v${version}.png`), image);
+
+        baseline.version = version;
+        baseline.updatedAt = now;
+        baseline.history.unshift({ version, createdAt: now, ...entry, size: image.length });
+
+        const expired = baseline.history.splice(this.historySize);
+        await this.writeMetadata(baseline);
+        await this.deleteFiles(dir, expired.map(old => `v${old.version}.png`));
+
+        logger.info('Baseline version saved', { name: baseline.name, version, source: entry.source });
+        return baseline;
+    }
+
+    /**
+     * Record a check and keep its capture and diff image for approval
+     * @param {string} name - Baseline name
+     * @param {Object} check - Check summary
+     * @param {Buffer} capture - Captured PNG
+     * @param {Buffer} diffImage - Diff PNG
+     * @returns {Promise<Object>} - Check record with its ID
+     */
+    addCheck(name, check, capture, diffImage) {
+        const dir = this.resolveDir(name);
+
+        return this.withLock(name, async () => {
+            const baseline = await this.get(name);
+            const record = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...check, approved: false };
+
+            await fs.promises.mkdir(path.join(dir, 'checks'), { recursive: true });
+            await fs.promises.writeFile(path.join(dir, 'checks', `${record.id}.png`), capture);
+            await fs.promises.writeFile(path.join(dir, 'checks', `${record.id}-diff.png`), diffImage);
+
+            baseline.checks.unshift(record);
+            const expired = baseline.checks.splice(this.checkHistorySize);
+            await this.writeMetadata(baseline);
+            await this.deleteFiles(dir, expired.flatMap(entry => [
+                path.join('checks', `${entry.id}.png`),
+                path.join('checks', `${entry.id}-diff.png`)
+            ]));
+
+            return record;
+        });
+    }
+
+    /**
+     * Make a check's capture the new baseline version
+     * @param {string} name - Baseline name
+     * @param {string} checkId - Check to approve
+     * @returns {Promise<Object>} - Updated baseline record
+     */
+    approve(name, checkId) {
+        this.resolveDir(name);
+
+        return this.withLock(name, async () => {
+            const baseline = await this.get(name);
+            const check = baseline.checks.find(entry => entry.id === checkId);
+
+            if (!check) {
+                throw new ScreenshotError(`Check ${checkId} of baseline "${name}" was not found or has expired`, 404, 'CHECK_NOT_FOUND');
+            }
+            if (check.approved) {
+                throw new ScreenshotError(`Check ${checkId} has already been approved`, 409, 'CHECK_ALREADY_APPROVED');
+            }
+
+            const image = await this.readImage(name, { checkId });
+            check.approved = true;
+
+            return this.appendVersion(baseline, image, { source: 'approval', checkId, dimensions: check.dimensions });
+        });
+    }
+
+    /**
+     * Read a stored image
+     * @param {string} name - Baseline name
+     * @param {Object} [which] - Which image; the current version by default
+     * @param {number} [which.version] - A retained baseline version
+     * @param {string} [which.checkId] - A check's capture
+     * @param {boolean} [which.diff] - The check's diff image instead of its capture
+     * @returns {Promise<Buffer>} - PNG image
+     */
+    async readImage(name, { version, checkId, diff = false } = {}) {
+        const dir = this.resolveDir(name);
+        let file;
+
+        if (checkId) {
+            if (!CHECK_ID_PATTERN.test(checkId)) {
+                throw new ScreenshotError(`Check ${checkId} was not found`, 404, 'CHECK_NOT_FOUND');
+            }
+            file = path.join('checks', `${checkId}${diff ? '-diff' : ''}.png`);
+        } else {
+            const baseline = await this.get(name);
+            const wanted = version || baseline.version;
+            if (!baseline.history.some(entry => entry.version === wanted)) {
+                throw new ScreenshotError(`Version ${wanted} of baseline "${name}" is not retained`, 404, 'BASELINE_VERSION_NOT_FOUND');
+            }
+            file = `v${wanted}.png`;
+        }
+
+        try {
+            return await fs.promises.readFile(path.join(dir, file));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new ScreenshotError(`Image ${file} of baseline "${name}" was not found`, 404, 'BASELINE_IMAGE_NOT_FOUND');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a baseline with its whole history
+     * @param {string} name - Baseline name
+     */
+    remove(name) {
+        const dir = this.resolveDir(name);
+
+        return this.withLock(name, async () => {
+            await this.get(name);
+            await fs.promises.rm(dir, { recursive: true, force: true });
+            logger.info('Baseline deleted', { name });
+        });
+    }
+
+    async deleteFiles(dir, files) {
+        await Promise.all(files.map(file => fs.promises.unlink(path.join(dir, file)).catch((error) => {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Failed to delete baseline file', { file, error: error.message });
+            }
+        })));
+    }
+}
+
+module.exports = new BaselineStore();
@@ -0,0 +1,164 @@
+const screenshotService = require('./screenshotService');
+const logger = require('../utils/logger');
+const { validateScreenshotOptions, toCaptureOptions } = require('../middleware/validator');
+const { describeError } = require('../middleware/errorHandler');
+const { sanitiseFilename } = require('../utils/helpers');
+
+const CONTENT_SOURCES = ['url', 'html', 'template'];
+const FILE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/avif': 'avif'
+};
+
+/**
+ * Captures many pages for one request. Items run through the normal
+ * screenshot path, cache and capture queue, with at most `concurrency`
+ * in flight so a batch cannot take over the queue. Every item settles on its
+ * own: a failure is recorded against that item and the batch carries on.
+ */
+class BatchService {
+    /**
+     * Merge each item with the shared defaults and validate it
+     * @param {Array} items - URLs or option objects with an optional id
+     * @param {Object} defaults - Options shared by every item
+     * @param {Object} context - Request context
+     * @param {string} context.accept - Accept header used to resolve format=auto
+     * @returns {Object[]} - Prepared items with either options or a validation error
+     */
+    prepareItems(items, defaults, { accept } = {}) {
+        return items.map((item, index) => {
+            const overrides = typeof item === 'string' ? { url: item } : { ...item };
+            const { id, ...itemOptions } = overrides;
+
+            // An item that names its own content replaces the default content
+            const base = { ...defaults };
+            if (CONTENT_SOURCES.some(key => itemOptions[key] !== undefined)) {
+                CONTENT_SOURCES.forEach(key => delete base[key]);
+            }
+
+            const { error, value } = validateScreenshotOptions({ ...base, ...itemOptions });
+            const prepared = { index, id, url: itemOptions.url || base.url };
+
+            if (error) {
+                return {
+                    ...prepared,
+                    error: {
+                        message: error.details.map(detail => detail.message).join('; '),
+                        type: 'VALIDATION_ERROR',
+                        statusCode: 400
+                    }
+                };
+            }
+
+            return { ...prepared, options: toCaptureOptions(value, accept) };
+        });
+    }
+
+    /**
+     * Name of an item's image inside the archive
+     * @param {Object} item - Prepared item
+     * @param {string} contentType - Image content type
+     * @returns {string} - File name, unique within the batch
+     */
+    buildFileName(item, contentType) {
+        let label = item.id;
+
+        if (!label) {
+            try {
+                label = new URL(item.url).hostname;
+            } catch (error) {
+                label = item.options?.template || 'page';
+            }
+        }
+
+        const extension = FILE_EXTENSIONS[contentType] || 'bin';
+        return `${String(item.index + 1).padStart(3, '0')}-${sanitiseFilename(label) || 'page'}.${extension}`;
+    }
+
+    /**
+     * Capture prepared items with bounded concurrency
+     * @param {Object[]} items - Items from prepareItems
+     * @param {Object} config - Run configuration
+     * @param {number} config.concurrency - Captures allowed in flight at once
+     * @param {Function} [config.onResult] - Awaited with each result and its image as it completes
+     * @param {Function} [config.isCancelled] - Stops scheduling new items when it returns true
+     * @returns {Promise<Object[]>} - Results in item order
+     */
+    async run(items, { concurrency, onResult, isCancelled = () => false }) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < items.length && !isCancelled()) {
+                const item = items[next++];
+                const startTime = Date.now();
+                let result;
+                let image = null;
+
+                if (item.error) {
+                    result = { index: item.index, id: item.id, url: item.url, status: 'failed', error: item.error };
+                } else {
+                    try {
+                        const capture = await screenshotService.takeScreenshot(item.options);
+                        image = Buffer.from(capture.image, 'base64');
+                        result = {
+                            index: item.index,
+                            id: item.id,
+                            url: item.url,
+                            status: 'success',
+                            file: this.buildFileName(item, capture.contentType),
+                            contentType: capture.contentType,
+                            size: capture.size,
+                            dimensions: capture.dimensions,
+                            blockedRequests: capture.blockedRequests,
+                            scriptErrors: capture.scriptErrors,
+                            cached: capture.cached,
+                            queueTime: capture.queueTime
+                        };
+                    } catch (error) {
+                        logger.warn('Batch item failed', { index: item.index, url: item.url, error: error.message });
+                        result = { index: item.index, id: item.id, url: item.url, status: 'failed', error: describeError(error) };
+                    }
+                }
+
+                result.processingTime = Date.now() - startTime;
+                results[item.index] = result;
+
+                if (onResult) {
+                    await onResult(result, image);
+                }
+            }
+        };
+
+        const workerCount = Math.max(1, Math.min(concurrency, items.length));
+        await Promise.all(Array.from({ length: workerCount }, worker));
+
+        // Items never started because the client went away
+        return results.map((result, index) => result || {
+            index,
+            id: items[index].id,
+            url: items[index].url,
+            status: 'skipped'
+        });
+    }
+
+    /**
+     * Count outcomes for the manifest
+     * @param {Object[]} results - Item results
+     * @param {number} processingTime - Batch duration in ms
+     * @returns {Object} - Batch summary
+     */
+    summarise(results, processingTime) {
+        return {
+            total: results.length,
+            succeeded: results.filter(result => result.status === 'success').length,
+            failed: results.filter(result => result.status === 'failed').length,
+            skipped: results.filter(result => result.status === 'skipped').length,
+            processingTime
+        };
+    }
+}
+
+module.exports = new BatchService();
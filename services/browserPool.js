@@ -0,0 +1,325 @@
+const fs = require('fs');
+const chromium = require('@sparticuz/chromium');
+const puppeteer = require('puppeteer-core');
+const logger = require('../utils/logger');
+
+const LAUNCH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu',
+    '--disable-web-security',
+    '--disable-features=IsolateOrigins,site-per-process'
+];
+
+/**
+ * Pool of long-lived Chromium instances shared by all captures in a worker.
+ * Each lease gets its own incognito context so cookies and storage never leak
+ * between requests. Browsers are recycled after serving a number of pages,
+ * after reaching their maximum age, or when they disconnect unexpectedly.
+ */
+class BrowserPool {
+    constructor(options = {}) {
+        this.maxBrowsers = options.maxBrowsers || parseInt(process.env.MAX_BROWSERS) || 3;
+        this.minBrowsers = Math.min(
+            this.maxBrowsers,
+            options.minBrowsers ?? (parseInt(process.env.MIN_BROWSERS) || 1)
+        );
+        this.maxPagesPerBrowser = options.maxPagesPerBrowser || parseInt(process.env.MAX_PAGES_PER_BROWSER) || 100;
+        this.maxBrowserAge = options.maxBrowserAge || parseInt(process.env.BROWSER_MAX_AGE_MS) || 1800000;
+
+        this.browsers = [];
+        this.pendingLaunches = 0;
+        this.nextId = 1;
+        this.closing = false;
+        this.warmedUp = false;
+
+        this.counters = {
+            launched: 0,
+            recycled: 0,
+            crashed: 0,
+            launchFailures: 0,
+            leases: 0
+        };
+        this.lastLaunchError = null;
+    }
+
+    async getExecutablePath() {
+        if (process.env.CHROMIUM_PATH) {
+            try {
+                if (fs.existsSync(process.env.CHROMIUM_PATH)) {
+                    return process.env.CHROMIUM_PATH;
+                }
+            } catch (error) {
+                logger.warn('Error checking CHROMIUM_PATH:', error.message);
+            }
+        }
+
+        try {
+            return await chromium.executablePath();
+        } catch (error) {
+            const possiblePaths = [
+                '/opt/homebrew/bin/chromium',
+                '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+                '/usr/bin/chromium-browser',
+                '/usr/bin/chromium',
+                '/usr/bin/google-chrome'
+            ];
+
+            for (const path of possiblePaths) {
+                if (fs.existsSync(path)) {
+                    return path;
+                }
+            }
+            throw new Error('No Chromium executable found');
+        }
+    }
+
+    /**
+     * Launch the minimum number of browsers so the first requests
+     * do not pay the Chromium start-up cost
+     */
+    async warmUp() {
+        const launches = [];
+        while (this.browsers.length + this.pendingLaunches + launches.length < this.minBrowsers) {
+            launches.push(this.launchBrowser());
+        }
+
+        const results = await Promise.allSettled(launches);
+        this.warmedUp = true;
+
+        const failed = results.filter(result => result.status === 'rejected');
+        if (failed.length > 0) {
+            logger.error('Browser pool warm-up incomplete', {
+                requested: launches.length,
+                failed: failed.length,
+                error: failed[0].reason?.message
+            });
+        } else {
+            logger.info('Browser pool warmed up', { browsers: this.browsers.length });
+        }
+    }
+
+    async launchBrowser() {
+        this.pendingLaunches++;
+
+        try {
+            const executablePath = await this.getExecutablePath();
+            const browser = await puppeteer.launch({
+                args: chromium.args.concat(LAUNCH_ARGS),
+                defaultViewport: null,
+                executablePath,
+                headless: chromium.headless,
+                ignoreHTTPSErrors: true,
+            });
+
+            const entry = {
+                id: this.nextId++,
+                browser,
+                launchedAt: Date.now(),
+                pagesServed: 0,
+                activePages: 0,
+                retiring: false
+            };
+
+            browser.on('disconnected', () => this.handleDisconnect(entry));
+
+            this.browsers.push(entry);
+            this.counters.launched++;
+            this.lastLaunchError = null;
+
+            logger.debug('Browser launched', { browserId: entry.id, pid: browser.process()?.pid });
+            return entry;
+        } catch (error) {
+            this.counters.launchFailures++;
+            this.lastLaunchError = error.message;
+            logger.error('Browser launch failed:', error);
+            throw error;
+        } finally {
+            this.pendingLaunches--;
+        }
+    }
+
+    handleDisconnect(entry) {
+        const index = this.browsers.indexOf(entry);
+        if (index !== -1) {
+            this.browsers.splice(index, 1);
+        }
+
+        if (!entry.retiring && !this.closing) {
+            this.counters.crashed++;
+            logger.warn('Browser disconnected unexpectedly', {
+                browserId: entry.id,
+                pagesServed: entry.pagesServed,
+                activePages: entry.activePages
+            });
+            this.replenish();
+        }
+    }
+
+    /**
+     * Keep the pool at its minimum size after browsers are retired or crash
+     */
+    replenish() {
+        if (this.closing) return;
+
+        while (this.browsers.length + this.pendingLaunches < this.minBrowsers) {
+            this.launchBrowser().catch(() => {
+                // Already logged in launchBrowser; the next acquire will retry
+            });
+        }
+    }
+
+    isExpired(entry) {
+        return entry.pagesServed >= this.maxPagesPerBrowser ||
+               Date.now() - entry.launchedAt >= this.maxBrowserAge;
+    }
+
+    async selectBrowser() {
+        // Retire idle browsers that aged out while no requests were coming in
+        this.browsers
+            .filter(entry => !entry.retiring && entry.activePages === 0 && this.isExpired(entry))
+            .forEach(entry => this.retire(entry));
+
+        const available = this.browsers.filter(entry =>
+            !entry.retiring && !this.isExpired(entry) && entry.browser.isConnected()
+        );
+
+        // Prefer an idle browser, otherwise grow the pool before sharing one
+        const idle = available.find(entry => entry.activePages === 0);
+        if (idle) return idle;
+
+        if (this.browsers.length + this.pendingLaunches < this.maxBrowsers) {
+            return this.launchBrowser();
+        }
+
+        if (available.length > 0) {
+            return available.reduce((least, entry) =>
+                entry.activePages < least.activePages ? entry : least
+            );
+        }
+
+        // Every browser is expired and still busy; launch past the limit
+        // rather than stall, the expired ones close once their pages finish
+        return this.launchBrowser();
+    }
+
+    /**
+     * Lease a fresh page in its own incognito context
+     * @returns {Promise<{page: Object, context: Object, browserId: number, release: Function}>}
+     */
+    async acquire() {
+        if (this.closing) {
+            throw new Error('Browser pool is shutting down');
+        }
+
+        const entry = await this.selectBrowser();
+        entry.activePages++;
+        entry.pagesServed++;
+        this.counters.leases++;
+
+        let context;
+        try {
+            context = await entry.browser.createIncognitoBrowserContext();
+            const page = await context.newPage();
+
+            let released = false;
+            const release = async () => {
+                if (released) return;
+                released = true;
+                await this.release(entry, context);
+            };
+
+            return { page, context, browserId: entry.id, release };
+        } catch (error) {
+            await this.release(entry, context);
+            throw error;
+        }
+    }
+
+    async release(entry, context) {
+        entry.activePages--;
+
+        if (context) {
+            try {
+                await context.close();
+            } catch (error) {
+                logger.error('Error closing browser context:', error);
+            }
+        }
+
+        if (entry.activePages === 0 && !entry.retiring && this.isExpired(entry)) {
+            await this.retire(entry);
+        }
+    }
+
+    async retire(entry) {
+        entry.retiring = true;
+        this.counters.recycled++;
+
+        const index = this.browsers.indexOf(entry);
+        if (index !== -1) {
+            this.browsers.splice(index, 1);
+        }
+
+        logger.debug('Recycling browser', {
+            browserId: entry.id,
+            pagesServed: entry.pagesServed,
+            ageMs: Date.now() - entry.launchedAt
+        });
+
+        this.replenish();
+
+        try {
+            await entry.browser.close();
+        } catch (error) {
+            logger.error('Error closing browser:', error);
+        }
+    }
+
+    /**
+     * Close every browser, used during graceful shutdown
+     */
+    async drain() {
+        this.closing = true;
+        const entries = this.browsers.splice(0);
+
+        await Promise.allSettled(entries.map(entry => {
+            entry.retiring = true;
+            return entry.browser.close();
+        }));
+
+        logger.info('Browser pool drained', { closed: entries.length });
+    }
+
+    getStats() {
+        const now = Date.now();
+
+        return {
+            size: this.browsers.length,
+            pendingLaunches: this.pendingLaunches,
+            minBrowsers: this.minBrowsers,
+            maxBrowsers: this.maxBrowsers,
+            maxPagesPerBrowser: this.maxPagesPerBrowser,
+            maxBrowserAgeMs: this.maxBrowserAge,
+            activePages: this.browsers.reduce((sum, entry) => sum + entry.activePages, 0),
+            warmedUp: this.warmedUp,
+            closing: this.closing,
+            lastLaunchError: this.lastLaunchError,
+            ...this.counters,
+            browsers: this.browsers.map(entry => ({
+                id: entry.id,
+                pid: entry.browser.process()?.pid || null,
+                connected: entry.browser.isConnected(),
+                pagesServed: entry.pagesServed,
+                activePages: entry.activePages,
+                ageMs: now - entry.launchedAt
+            }))
+        };
+    }
+}
+
+module.exports = new BrowserPool();
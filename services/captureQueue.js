@@ -0,0 +1,138 @@
+const logger = require('../utils/logger');
+const { RateLimitError, ServiceUnavailableError } = require('../middleware/errorHandler');
+
+/**
+ * In-process admission queue that bounds how many captures run at once.
+ * Requests beyond the concurrency limit wait in a FIFO queue; when the queue
+ * is full, or a request waits too long, it is rejected with a Retry-After
+ * estimate instead of piling more work onto the worker.
+ */
+class CaptureQueue {
+    constructor(options = {}) {
+        this.maxConcurrent = options.maxConcurrent || parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 5;
+        this.maxQueueLength = options.maxQueueLength ?? (parseInt(process.env.MAX_QUEUE_LENGTH) || 20);
+        this.maxQueueWait = options.maxQueueWait || parseInt(process.env.MAX_QUEUE_WAIT_MS) || 30000;
+
+        this.active = 0;
+        this.waiting = [];
+
+        // Exponentially weighted average of task duration, seeded with a
+        // conservative guess until real captures have been observed
+        this.avgTaskDuration = 5000;
+
+        this.counters = {
+            accepted: 0,
+            completed: 0,
+            rejectedFull: 0,
+            rejectedTimeout: 0
+        };
+        this.waitStats = {
+            count: 0,
+            total: 0,
+            max: 0
+        };
+    }
+
+    /**
+     * Run a task once a concurrency slot is free
+     * @param {Function} task - Async function receiving `{ waitMs }`
+     * @returns {Promise} - Resolves with the task result
+     */
+    async run(task) {
+        const enqueuedAt = Date.now();
+
+        if (this.active >= this.maxConcurrent) {
+            if (this.waiting.length >= this.maxQueueLength) {
+                this.counters.rejectedFull++;
+                logger.warn('Capture queue full, rejecting request', this.getStats());
+                throw new RateLimitError(
+                    'Too many concurrent captures, please try again later',
+                    this.estimateRetryAfter()
+                );
+            }
+
+            await this.enqueue();
+        } else {
+            this.active++;
+        }
+
+        const waitMs = Date.now() - enqueuedAt;
+        this.recordWait(waitMs);
+        this.counters.accepted++;
+
+        const startedAt = Date.now();
+        try {
+            return await task({ waitMs });
+        } finally {
+            this.recordDuration(Date.now() - startedAt);
+            this.counters.completed++;
+            this.releaseSlot();
+        }
+    }
+
+    enqueue() {
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, timer: null };
+
+            waiter.timer = setTimeout(() => {
+                const index = this.waiting.indexOf(waiter);
+                if (index !== -1) {
+                    this.waiting.splice(index, 1);
+                }
+                this.counters.rejectedTimeout++;
+                reject(new ServiceUnavailableError(
+                    'Capture queue wait exceeded, please try again later',
+                    this.estimateRetryAfter()
+                ));
+            }, this.maxQueueWait);
+
+            this.waiting.push(waiter);
+        });
+    }
+
+    releaseSlot() {
+        const next = this.waiting.shift();
+        if (next) {
+            // Hand the slot straight to the next waiter; `active` is unchanged
+            clearTimeout(next.timer);
+            next.resolve();
+        } else {
+            this.active--;
+        }
+    }
+
+    recordWait(waitMs) {
+        this.waitStats.count++;
+        this.waitStats.total += waitMs;
+        this.waitStats.max = Math.max(this.waitStats.max, waitMs);
+    }
+
+    recordDuration(durationMs) {
+        this.avgTaskDuration = this.avgTaskDuration * 0.8 + durationMs * 0.2;
+    }
+
+    /**
+     * Estimate, in seconds, how long until a new request could start
+     * @returns {number} - Seconds to wait before retrying
+     */
+    estimateRetryAfter() {
+        const rounds = Math.ceil((this.waiting.length + 1) / this.maxConcurrent);
+        return Math.max(1, Math.ceil((rounds * this.avgTaskDuration) / 1000));
+    }
+
+    getStats() {
+        return {
+            active: this.active,
+            depth: this.waiting.length,
+            maxConcurrent: this.maxConcurrent,
+            maxQueueLength: this.maxQueueLength,
+            maxQueueWaitMs: this.maxQueueWait,
+            avgTaskDurationMs: Math.round(this.avgTaskDuration),
+            avgWaitMs: this.waitStats.count > 0 ? Math.round(this.waitStats.total / this.waitStats.count) : 0,
+            maxWaitMs: this.waitStats.max,
+            ...this.counters
+        };
+    }
+}
+
+module.exports = new CaptureQueue();
@@ -0,0 +1,171 @@
+const STAGES = ['launch', 'navigate', 'scroll', 'capture', 'encode', 'total'];
+const MAX_SAMPLES = parseInt(process.env.STATS_SAMPLE_SIZE) || 1000;
+
+/**
+ * Map an error to a stable type label for the failure breakdown
+ * @param {Error} error - The capture error
+ * @returns {string} - Error type label
+ */
+const classifyError = (error) => {
+    if (error.type) return error.type;
+    if (error.name === 'TimeoutError' || /timeout/i.test(error.message)) return 'TIMEOUT_ERROR';
+    if (error.message.includes('Invalid URL')) return 'INVALID_URL_ERROR';
+    if (error.message.startsWith('net::ERR_')) return 'NAVIGATION_ERROR';
+    if (/browser|target closed|session closed/i.test(error.message)) return 'BROWSER_ERROR';
+    return 'INTERNAL_ERROR';
+};
+
+/**
+ * Summarise a list of duration samples
+ * @param {number[]} samples - Durations in milliseconds
+ * @returns {Object} - Count, average and percentiles
+ */
+const summariseSamples = (samples) => {
+    if (samples.length === 0) {
+        return { count: 0, avg: 0, p50: 0, p90: 0, p95: 0, p99: 0, max: 0 };
+    }
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+
+    return {
+        count: sorted.length,
+        avg: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        p50: percentile(50),
+        p90: percentile(90),
+        p95: percentile(95),
+        p99: percentile(99),
+        max: sorted[sorted.length - 1]
+    };
+};
+
+/**
+ * Add numeric values of `source` into `target`, key by key
+ */
+const addCounts = (target, source = {}) => {
+    for (const [key, value] of Object.entries(source)) {
+        target[key] = (target[key] || 0) + value;
+    }
+    return target;
+};
+
+/**
+ * Per-worker capture counters and recent stage timings. Latency percentiles
+ * are computed over the most recent STATS_SAMPLE_SIZE captures per stage.
+ */
+class CaptureStats {
+    constructor() {
+        this.stages = STAGES;
+        this.reset();
+    }
+
+    reset() {
+        this.startedAt = Date.now();
+        this.counters = {
+            total: 0,
+            succeeded: 0,
+            failed: 0,
+            bytes: 0
+        };
+        this.failuresByType = {};
+        this.formats = {};
+        this.types = {};
+        this.samples = STAGES.reduce((samples, stage) => {
+            samples[stage] = [];
+            return samples;
+        }, {});
+    }
+
+    recordTimings(timings = {}) {
+        for (const [stage, duration] of Object.entries(timings)) {
+            const samples = this.samples[stage];
+            if (!samples) continue;
+
+            samples.push(duration);
+            if (samples.length > MAX_SAMPLES) {
+                samples.shift();
+            }
+        }
+    }
+
+    recordSuccess({ format, type, bytes, timings }) {
+        this.counters.total++;
+        this.counters.succeeded++;
+        this.counters.bytes += bytes || 0;
+        this.formats[format] = (this.formats[format] || 0) + 1;
+        this.types[type] = (this.types[type] || 0) + 1;
+        this.recordTimings(timings);
+    }
+
+    recordFailure(error, timings) {
+        const errorType = classifyError(error);
+
+        this.counters.total++;
+        this.counters.failed++;
+        this.failuresByType[errorType] = (this.failuresByType[errorType] || 0) + 1;
+        this.recordTimings(timings);
+    }
+
+    /**
+     * Raw, serialisable state so snapshots from several workers can be merged
+     */
+    getSnapshot() {
+        return {
+            pid: process.pid,
+            startedAt: this.startedAt,
+            counters: { ...this.counters },
+            failuresByType: { ...this.failuresByType },
+            formats: { ...this.formats },
+            types: { ...this.types },
+            samples: STAGES.reduce((samples, stage) => {
+                samples[stage] = [...this.samples[stage]];
+                return samples;
+            }, {})
+        };
+    }
+
+    classifyError(error) {
+        return classifyError(error);
+    }
+
+    /**
+     * Merge one or more snapshots into a report
+     * @param {Object[]} snapshots - Snapshots from getSnapshot()
+     * @returns {Object} - Aggregated statistics
+     */
+    summarise(snapshots) {
+        const counters = snapshots.reduce((sum, snapshot) => addCounts(sum, snapshot.counters), {
+            total: 0,
+            succeeded: 0,
+            failed: 0,
+            bytes: 0
+        });
+
+        const latency = STAGES.reduce((result, stage) => {
+            result[stage] = summariseSamples(snapshots.flatMap(snapshot => snapshot.samples[stage] || []));
+            return result;
+        }, {});
+
+        return {
+            captures: {
+                total: counters.total,
+                succeeded: counters.succeeded,
+                failed: counters.failed,
+                successRate: counters.total > 0 ? Number((counters.succeeded / counters.total).toFixed(3)) : 0
+            },
+            failuresByType: snapshots.reduce((sum, snapshot) => addCounts(sum, snapshot.failuresByType), {}),
+            formats: snapshots.reduce((sum, snapshot) => addCounts(sum, snapshot.formats), {}),
+            types: snapshots.reduce((sum, snapshot) => addCounts(sum, snapshot.types), {}),
+            bytes: {
+                total: counters.bytes,
+                average: counters.succeeded > 0 ? Math.round(counters.bytes / counters.succeeded) : 0
+            },
+            latency,
+            since: snapshots.length > 0
+                ? new Date(Math.min(...snapshots.map(snapshot => snapshot.startedAt))).toISOString()
+                : null
+        };
+    }
+}
+
+module.exports = new CaptureStats();
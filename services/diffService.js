@@ -0,0 +1,288 @@
+const sharp = require('sharp');
+const screenshotService = require('./screenshotService');
+const logger = require('../utils/logger');
+const { ScreenshotError } = require('../middleware/errorHandler');
+
+// Each compared pixel costs 12 bytes across the two inputs and the diff image
+const MAX_DIFF_PIXELS = parseInt(process.env.MAX_DIFF_PIXELS) || 16000000;
+
+// Pixels compared between yields, so other requests on the worker still run
+const PIXELS_PER_SLICE = 500000;
+
+// Changed pixels are grouped on a grid of this many pixels to find regions
+const REGION_CELL_SIZE = 16;
+const MAX_REPORTED_REGIONS = 50;
+const HIGHLIGHT_COLOUR = [255, 0, 64];
+
+/**
+ * Compares a capture against a baseline, either a second capture or an
+ * uploaded image. Both are decoded to raw RGBA with sharp and compared pixel
+ * by pixel; the diff image shows the current capture faded out with changed
+ * pixels highlighted.
+ */
+class DiffService {
+    /**
+     * Capture a page as a lossless PNG for comparison
+     * @param {Object} options - Capture options
+     * @returns {Promise<Object>} - Capture result with the PNG as a buffer in `png`
+     */
+    async capture(options) {
+        // Palette PNGs would add quantisation noise to both sides
+        const result = await screenshotService.takeScreenshot({ ...options, format: 'png', lossless: true });
+        return { ...result, png: Buffer.from(result.image, 'base64') };
+    }
+
+    /**
+     * Capture a page and its baseline with the same options and compare them
+     * @param {Object} options - Capture options
+     * @param {Object} baseline - What to compare against
+     * @param {string} [baseline.url] - Baseline page, captured like the current one
+     * @param {Buffer} [baseline.image] - Baseline image
+     * @param {Object} settings - Comparison settings, see compare()
+     * @returns {Promise<Object>} - Comparison result with capture details
+     */
+    async run(options, baseline, settings) {
+        const [current, reference] = await Promise.all([
+            this.capture(options),
+            baseline.url
+                ? this.capture({ ...options, url: baseline.url, html: undefined, template: undefined, data: undefined })
+                : null
+        ]);
+
+        const result = await this.compare(current.png, reference ? reference.png : baseline.image, settings);
+
+        return {
+            ...result,
+            current: { dimensions: current.dimensions, cached: current.cached },
+            baseline: reference
+                ? { url: baseline.url, dimensions: reference.dimensions, cached: reference.cached }
+                : { dimensions: result.sizes.baseline }
+        };
+    }
+
+    /**
+     * Read an image's size, refusing anything sharp cannot decode or that is
+     * too large to compare
+     * @param {Buffer} image - Encoded image
+     * @param {string} name - Which image this is, for error messages
+     * @returns {Promise<{width: number, height: number}>}
+     */
+    async measure(image, name) {
+        let metadata;
+        try {
+            metadata = await sharp(image).metadata();
+        } catch (error) {
+            throw new ScreenshotError(`The ${name} image could not be read: ${error.message}`, 400, 'INVALID_IMAGE');
+        }
+
+        if (!metadata.width || !metadata.height) {
+            throw new ScreenshotError(`The ${name} image could not be read`, 400, 'INVALID_IMAGE');
+        }
+
+        if (metadata.width * metadata.height > MAX_DIFF_PIXELS) {
+            throw new ScreenshotError(
+                `The ${name} image is ${metadata.width}x${metadata.height}, above the ${MAX_DIFF_PIXELS} pixel limit`,
+                422,
+                'DIFF_TOO_LARGE'
+            );
+        }
+
+        return { width: metadata.width, height: metadata.height };
+    }
+
+    /**
+     * Decode an image to raw RGBA at the comparison size. Padding is fully
+     * transparent, so it always counts as changed against real pixels.
+     * @param {Buffer} image - Encoded image
+     * @param {Object} size - Image size
+     * @param {Object} target - Comparison size
+     * @returns {Promise<Buffer>} - RGBA pixels
+     */
+    async toPixels(image, size, target) {
+        const pipeline = sharp(image).ensureAlpha();
+
+        if (size.width > target.width || size.height > target.height) {
+            pipeline.extract({ left: 0, top: 0, width: target.width, height: target.height });
+        } else if (size.width < target.width || size.height < target.height) {
+            pipeline.extend({
+                right: target.width - size.width,
+                bottom: target.height - size.height,
+                background: { r: 0, g: 0, b: 0, alpha: 0 }
+            });
+        }
+
+        return pipeline.raw().toBuffer();
+    }
+
+    /**
+     * Compare two images pixel by pixel
+     * @param {Buffer} current - Current image
+     * @param {Buffer} baseline - Baseline image
+     * @param {Object} settings - Comparison settings
+     * @param {number} settings.tolerance - Largest channel difference (0-255) still counted as unchanged
+     * @param {number} settings.threshold - Largest share of changed pixels (0-1) that still passes
+     * @param {string} settings.sizeMismatch - 'pad' to the larger size or 'crop' to the smaller
+     * @returns {Promise<Object>} - Verdict, changed-pixel ratio, changed regions and the PNG diff image
+     */
+    async compare(current, baseline, { tolerance, threshold, sizeMismatch }) {
+        const sizes = {
+            current: await this.measure(current, 'current'),
+            baseline: await this.measure(baseline, 'baseline')
+        };
+        const pick = sizeMismatch === 'crop' ? Math.min : Math.max;
+        const width = pick(sizes.current.width, sizes.baseline.width);
+        const height = pick(sizes.current.height, sizes.baseline.height);
+        const resized = width !== sizes.current.width || height !== sizes.current.height ||
+            width !== sizes.baseline.width || height !== sizes.baseline.height;
+
+        // Padding can make the comparison far larger than either image
+        if (width * height > MAX_DIFF_PIXELS) {
+            throw new ScreenshotError(
+                `Comparing at ${width}x${height} is above the ${MAX_DIFF_PIXELS} pixel limit; use sizeMismatch=crop or a smaller baseline`,
+                422,
+                'DIFF_TOO_LARGE'
+            );
+        }
+
+        const [a, b] = await Promise.all([
+            this.toPixels(current, sizes.current, { width, height }),
+            this.toPixels(baseline, sizes.baseline, { width, height })
+        ]);
+
+        const columns = Math.ceil(width / REGION_CELL_SIZE);
+        const rows = Math.ceil(height / REGION_CELL_SIZE);
+        const cellPixels = new Uint32Array(columns * rows);
+        const cellBounds = new Int32Array(columns * rows * 4);
+        const output = Buffer.alloc(width * height * 4);
+        const rowsPerSlice = Math.max(1, Math.floor(PIXELS_PER_SLICE / width));
+        let changedPixels = 0;
+
+        for (let y = 0, offset = 0; y < height; y++) {
+            if (y > 0 && y % rowsPerSlice === 0) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+
+            for (let x = 0; x < width; x++, offset += 4) {
+                const delta = Math.max(
+                    Math.abs(a[offset] - b[offset]),
+                    Math.abs(a[offset + 1] - b[offset + 1]),
+                    Math.abs(a[offset + 2] - b[offset + 2]),
+                    Math.abs(a[offset + 3] - b[offset + 3])
+                );
+
+                if (delta > tolerance) {
+                    changedPixels++;
+                    output[offset] = HIGHLIGHT_COLOUR[0];
+                    output[offset + 1] = HIGHLIGHT_COLOUR[1];
+                    output[offset + 2] = HIGHLIGHT_COLOUR[2];
+                    output[offset + 3] = 255;
+
+                    const cell = Math.floor(y / REGION_CELL_SIZE) * columns + Math.floor(x / REGION_CELL_SIZE);
+                    const bounds = cell * 4;
+                    if (cellPixels[cell] === 0) {
+                        cellBounds[bounds] = x;
+                        cellBounds[bounds + 1] = y;
+                        cellBounds[bounds + 2] = x;
+                        cellBounds[bounds + 3] = y;
+                    } else {
+                        cellBounds[bounds] = Math.min(cellBounds[bounds], x);
+                        cellBounds[bounds + 2] = Math.max(cellBounds[bounds + 2], x);
+                        cellBounds[bounds + 3] = y;
+                    }
+                    cellPixels[cell]++;
+                } else {
+                    // Unchanged pixels are kept as a faint greyscale of the current image
+                    const luma = 0.299 * a[offset] + 0.587 * a[offset + 1] + 0.114 * a[offset + 2];
+                    const shade = Math.round(255 - (255 - luma) * 0.25 * (a[offset + 3] / 255));
+                    output[offset] = shade;
+                    output[offset + 1] = shade;
+                    output[offset + 2] = shade;
+                    output[offset + 3] = 255;
+                }
+            }
+        }
+
+        const regions = this.findRegions(cellPixels, cellBounds, columns, rows);
+        const totalPixels = width * height;
+        const ratio = totalPixels > 0 ? changedPixels / totalPixels : 0;
+
+        const diffImage = await sharp(output, { raw: { width, height, channels: 4 } }).png().toBuffer();
+
+        logger.debug('Images compared', { width, height, changedPixels, regions: regions.length });
+
+        return {
+            passed: ratio <= threshold,
+            ratio: Number(ratio.toFixed(6)),
+            changedPixels,
+            totalPixels,
+            threshold,
+            tolerance,
+            dimensions: { width, height },
+            sizes,
+            sizeMismatch: resized ? sizeMismatch : null,
+            regionCount: regions.length,
+            regions: regions.slice(0, MAX_REPORTED_REGIONS),
+            diffImage
+        };
+    }
+
+    /**
+     * Merge touching grid cells with changed pixels into bounding boxes
+     * @param {Uint32Array} cellPixels - Changed pixels per cell
+     * @param {Int32Array} cellBounds - minX, minY, maxX, maxY of the changes in each cell
+     * @param {number} columns - Grid columns
+     * @param {number} rows - Grid rows
+     * @returns {Object[]} - Regions, largest first
+     */
+    findRegions(cellPixels, cellBounds, columns, rows) {
+        const visited = new Uint8Array(cellPixels.length);
+        const regions = [];
+
+        for (let start = 0; start < cellPixels.length; start++) {
+            if (cellPixels[start] === 0 || visited[start]) continue;
+
+            const region = { minX: Infinity, minY: Infinity, maxX: -1, maxY: -1, pixels: 0 };
+            const stack = [start];
+            visited[start] = 1;
+
+            while (stack.length > 0) {
+                const cell = stack.pop();
+                const bounds = cell * 4;
+                region.minX = Math.min(region.minX, cellBounds[bounds]);
+                region.minY = Math.min(region.minY, cellBounds[bounds + 1]);
+                region.maxX = Math.max(region.maxX, cellBounds[bounds + 2]);
+                region.maxY = Math.max(region.maxY, cellBounds[bounds + 3]);
+                region.pixels += cellPixels[cell];
+
+                // Diagonal neighbours count as touching
+                const column = cell % columns;
+                const row = Math.floor(cell / columns);
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const x = column + dx;
+                        const y = row + dy;
+                        if (x < 0 || y < 0 || x >= columns || y >= rows) continue;
+
+                        const neighbour = y * columns + x;
+                        if (cellPixels[neighbour] > 0 && !visited[neighbour]) {
+                            visited[neighbour] = 1;
+                            stack.push(neighbour);
+                        }
+                    }
+                }
+            }
+
+            regions.push({
+                x: region.minX,
+                y: region.minY,
+                width: region.maxX - region.minX + 1,
+                height: region.maxY - region.minY + 1,
+                changedPixels: region.pixels
+            });
+        }
+
+        return regions.sort((first, second) => second.changedPixels - first.changedPixels);
+    }
+}
+
+module.exports = new DiffService();
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const screenshotService = require('./screenshotService');
+const jobStore = require('./jobStore');
+const webhookService = require('./webhookService');
+const logger = require('../utils/logger');
+const { subscribe } = require('../utils/clusterBus');
+const { ScreenshotError, describeError } = require('../middleware/errorHandler');
+
+const JOBS_DIR = path.resolve(process.env.JOBS_DIR || path.join(os.tmpdir(), 'screenshot-jobs'));
+
+// Share of the work done once each capture stage finishes
+const STAGE_PROGRESS = {
+    launch: 15,
+    navigate: 50,
+    scroll: 75,
+    capture: 90,
+    encode: 100
+};
+
+const FILE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/avif': 'avif'
+};
+
+/**
+ * Runs captures in the background for the async job API. Jobs run in the
+ * worker that accepted them; their records live in the shared job store and
+ * their images in JOBS_DIR, so any worker can answer a poll.
+ */
+class JobService {
+    constructor() {
+        this.dir = JOBS_DIR;
+        this.active = new Map();
+
+        // A job may be cancelled through any worker
+        subscribe(jobStore.cancelledChannel, ({ id }) => {
+            const run = this.active.get(id);
+            if (run) {
+                run.cancelled = true;
+            }
+        });
+    }
+
+    /**
+     * Record a job and start it without waiting for the capture
+     * @param {Object} options - Capture options
+     * @param {Object} [callback] - Webhook to notify when the job finishes
+     * @param {string} callback.url - Callback URL
+     * @param {boolean} callback.includeImage - Send the image rather than only a result link
+     * @param {string} callback.baseUrl - Public base URL used to build the result link
+     * @returns {Promise<Object>} - The queued job record
+     */
+    async submit(options, callback = null) {
+        if (callback && !webhookService.enabled) {
+            throw new ScreenshotError('Callbacks are disabled because WEBHOOK_SECRET is not set', 400, 'CALLBACKS_NOT_CONFIGURED');
+        }
+
+        const job = await jobStore.create({
+            id: crypto.randomUUID(),
+            type: 'screenshot',
+            url: options.url || null,
+            ...(callback && { callback: { ...callback, status: 'pending' }, deliveries: [] })
+        });
+
+        setImmediate(() => {
+            this.execute(job.id, options, job.callback).catch((error) => {
+                logger.error('Job execution failed', { id: job.id, error: error.message });
+            });
+        });
+
+        logger.info('Job submitted', { id: job.id, url: job.url });
+        return job;
+    }
+
+    /**
+     * Capture a job's image and store the outcome
+     * @param {string} id - Job ID
+     * @param {Object} options - Capture options
+     * @param {Object} [callback] - Webhook to notify once the job has finished
+     */
+    async execute(id, options, callback) {
+        const run = { cancelled: false };
+        this.active.set(id, run);
+        let finishedJob = null;
+        let image = null;
+
+        const checkCancelled = () => {
+            if (run.cancelled) {
+                throw new ScreenshotError(`Job ${id} was cancelled`, 409, 'JOB_CANCELLED');
+            }
+        };
+
+        const reportProgress = (changes) => {
+            jobStore.update(id, changes).catch((error) => {
+                logger.warn('Failed to update job progress', { id, error: error.message });
+            });
+        };
+
+        try {
+            const result = await screenshotService.takeScreenshot(options, {
+                onStart: async ({ waitMs }) => {
+                    checkCancelled();
+                    await jobStore.update(id, {
+                        status: 'running',
+                        startedAt: new Date().toISOString(),
+                        queueTime: waitMs,
+                        progress: { stage: 'launch', percent: 5 }
+                    });
+                },
+                onStage: (stage) => {
+                    checkCancelled();
+                    reportProgress({ progress: { stage, percent: STAGE_PROGRESS[stage] || 0 } });
+                }
+            });
+            checkCancelled();
+
+            const extension = FILE_EXTENSIONS[result.contentType] || 'bin';
+            const filePath = path.join(this.dir, `${id}.${extension}`);
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            image = Buffer.from(result.image, 'base64');
+            await fs.promises.writeFile(filePath, image);
+
+            const job = await jobStore.update(id, {
+                status: 'completed',
+                progress: { stage: 'completed', percent: 100 },
+                result: {
+                    path: filePath,
+                    contentType: result.contentType,
+                    size: result.size,
+                    dimensions: result.dimensions,
+                    blockedRequests: result.blockedRequests,
+                    scriptErrors: result.scriptErrors,
+                    cached: result.cached
+                }
+            });
+
+            // Cancelled while the file was being written
+            if (job && job.status !== 'completed') {
+                await fs.promises.unlink(filePath).catch(() => {});
+            } else {
+                finishedJob = job;
+            }
+        } catch (error) {
+            if (run.cancelled) {
+                logger.info('Job cancelled', { id });
+            } else {
+                logger.error('Job failed', { id, error: error.message });
+                finishedJob = await jobStore.update(id, {
+                    status: 'failed',
+                    progress: { stage: 'failed', percent: 0 },
+                    error: describeError(error)
+                }).catch((updateError) => {
+                    logger.error('Failed to record job failure', { id, error: updateError.message });
+                    return null;
+                });
+            }
+        } finally {
+            this.active.delete(id);
+        }
+
+        // Cancelled jobs are not reported; the caller asked for the cancellation
+        if (callback && finishedJob && ['completed', 'failed'].includes(finishedJob.status)) {
+            await webhookService.deliver(this.present(finishedJob), callback, image);
+        }
+    }
+
+    /**
+     * Public view of a job, without server paths
+     * @param {Object} job - Job record
+     * @returns {Object} - Job as returned by the API
+     */
+    present(job) {
+        const { pid, ...view } = job;
+
+        if (view.result) {
+            const { path: filePath, ...result } = view.result;
+            view.result = result;
+        }
+
+        return {
+            ...view,
+            links: {
+                status: `/api/jobs/${job.id}`,
+                result: `/api/jobs/${job.id}/result`
+            }
+        };
+    }
+
+    get(id) {
+        return jobStore.get(id);
+    }
+
+    cancel(id) {
+        return jobStore.cancel(id);
+    }
+}
+
+module.exports = new JobService();
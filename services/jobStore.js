@@ -0,0 +1,217 @@
+const cluster = require('cluster');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { handleOnMaster, requestMaster, publish } = require('../utils/clusterBus');
+const { ScreenshotError, ServiceUnavailableError } = require('../middleware/errorHandler');
+
+const JOBS_CHANNEL = 'jobs';
+const JOB_CANCELLED_CHANNEL = 'jobs:cancelled';
+const JOB_TTL_SECONDS = parseInt(process.env.JOB_TTL_SECONDS) || 3600;
+const MAX_STORED_JOBS = parseInt(process.env.MAX_STORED_JOBS) || 1000;
+const SWEEP_INTERVAL_MS = 60000;
+const MAX_DELIVERY_LOG = 20;
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Authoritative job records. Lives in the cluster master (or the only
+ * process outside a cluster) so every worker sees the same state.
+ */
+class JobRegistry {
+    constructor() {
+        this.jobs = new Map();
+        this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        this.sweepTimer.unref();
+
+        // Jobs running in a worker that dies would otherwise never finish
+        if (cluster.isPrimary) {
+            cluster.on('exit', (worker) => this.failWorkerJobs(worker.process.pid));
+        }
+    }
+
+    create({ job }, { pid }) {
+        if (this.jobs.size >= MAX_STORED_JOBS) {
+            this.sweep();
+            if (this.jobs.size >= MAX_STORED_JOBS) {
+                throw new ServiceUnavailableError('Too many jobs are stored, try again later', 60);
+            }
+        }
+
+        const now = Date.now();
+        const record = {
+            ...job,
+            status: 'queued',
+            progress: { stage: 'queued', percent: 0 },
+            pid,
+            createdAt: new Date(now).toISOString(),
+            updatedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + JOB_TTL_SECONDS * 1000).toISOString()
+        };
+
+        this.jobs.set(record.id, record);
+        return record;
+    }
+
+    get({ id }) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Apply a partial update. Finished jobs are left alone so a late update
+     * cannot revive a cancelled job.
+     */
+    update({ id, changes }) {
+        const job = this.jobs.get(id);
+        if (!job || TERMINAL_STATUSES.includes(job.status)) {
+            return job || null;
+        }
+
+        const now = Date.now();
+        Object.assign(job, changes, { updatedAt: new Date(now).toISOString() });
+
+        // Results are kept for the TTL from when they are ready
+        if (TERMINAL_STATUSES.includes(job.status)) {
+            job.completedAt = new Date(now).toISOString();
+            job.expiresAt = new Date(now + JOB_TTL_SECONDS * 1000).toISOString();
+        }
+
+        return job;
+    }
+
+    /**
+     * Append a webhook attempt to a job's delivery log and/or set the
+     * callback status. Allowed on finished jobs, unlike update.
+     */
+    recordDelivery({ id, delivery, status }) {
+        const job = this.jobs.get(id);
+        if (!job || !job.callback) {
+            return null;
+        }
+
+        if (delivery) {
+            job.deliveries = [...(job.deliveries || []), delivery].slice(-MAX_DELIVERY_LOG);
+        }
+        if (status) {
+            job.callback.status = status;
+        }
+
+        return job;
+    }
+
+    /**
+     * Cancel a pending job, or delete a finished one and its result
+     */
+    cancel({ id }) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return null;
+        }
+
+        if (TERMINAL_STATUSES.includes(job.status)) {
+            this.remove(job);
+            return { ...job, deleted: true };
+        }
+
+        this.update({ id, changes: { status: 'cancelled', progress: { ...job.progress, stage: 'cancelled' } } });
+        publish(JOB_CANCELLED_CHANNEL, { id });
+        return job;
+    }
+
+    remove(job) {
+        this.jobs.delete(job.id);
+
+        if (job.result && job.result.path) {
+            fs.promises.unlink(job.result.path).catch((error) => {
+                if (error.code !== 'ENOENT') {
+                    logger.warn('Failed to delete job result', { id: job.id, error: error.message });
+                }
+            });
+        }
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const job of this.jobs.values()) {
+            if (Date.parse(job.expiresAt) <= now) {
+                this.remove(job);
+            }
+        }
+    }
+
+    failWorkerJobs(pid) {
+        for (const job of this.jobs.values()) {
+            if (job.pid === pid && !TERMINAL_STATUSES.includes(job.status)) {
+                this.update({
+                    id: job.id,
+                    changes: {
+                        status: 'failed',
+                        error: { message: 'The worker running this job stopped', type: 'WORKER_EXITED', statusCode: 500 }
+                    }
+                });
+            }
+        }
+    }
+
+    getStats() {
+        const byStatus = {};
+        for (const job of this.jobs.values()) {
+            byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+        }
+        return { stored: this.jobs.size, maxStored: MAX_STORED_JOBS, byStatus };
+    }
+}
+
+// Created on first use so workers in a cluster never start a sweep timer
+let registry = null;
+handleOnMaster(JOBS_CHANNEL, ({ op, ...args }, meta) => {
+    if (!registry) {
+        registry = new JobRegistry();
+    }
+    if (!['create', 'get', 'update', 'recordDelivery', 'cancel', 'getStats'].includes(op)) {
+        throw new Error(`Unknown job operation "${op}"`);
+    }
+    return registry[op](args, meta);
+});
+
+/**
+ * Worker-side access to the shared job records
+ */
+class JobStore {
+    constructor() {
+        this.ttlSeconds = JOB_TTL_SECONDS;
+        this.cancelledChannel = JOB_CANCELLED_CHANNEL;
+    }
+
+    create(job) {
+        return requestMaster(JOBS_CHANNEL, { op: 'create', job });
+    }
+
+    async get(id) {
+        const job = await requestMaster(JOBS_CHANNEL, { op: 'get', id });
+        if (!job) {
+            throw new ScreenshotError(`Job ${id} was not found or has expired`, 404, 'JOB_NOT_FOUND');
+        }
+        return job;
+    }
+
+    update(id, changes) {
+        return requestMaster(JOBS_CHANNEL, { op: 'update', id, changes });
+    }
+
+    recordDelivery(id, delivery, status) {
+        return requestMaster(JOBS_CHANNEL, { op: 'recordDelivery', id, delivery, status });
+    }
+
+    async cancel(id) {
+        const job = await requestMaster(JOBS_CHANNEL, { op: 'cancel', id });
+        if (!job) {
+            throw new ScreenshotError(`Job ${id} was not found or has expired`, 404, 'JOB_NOT_FOUND');
+        }
+        return job;
+    }
+
+    getStats() {
+        return requestMaster(JOBS_CHANNEL, { op: 'getStats' });
+    }
+}
+
+module.exports = new JobStore();
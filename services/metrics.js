@@ -0,0 +1,106 @@
+const client = require('prom-client');
+const browserPool = require('./browserPool');
+const captureQueue = require('./captureQueue');
+const { registerCollector, collectFromWorkers } = require('../utils/clusterBus');
+
+const METRICS_CHANNEL = 'metrics:prometheus';
+
+/**
+ * Prometheus metrics for captures, the capture queue and the browser pool.
+ * Each worker keeps its own registry; a scrape on any worker collects the
+ * registries of every worker through the master and merges them with
+ * prom-client's cluster aggregator, so one scrape covers the whole instance.
+ */
+class MetricsService {
+    constructor() {
+        this.enabled = process.env.ENABLE_METRICS !== 'false';
+        this.endpoint = process.env.METRICS_ENDPOINT || '/metrics';
+        this.register = new client.Registry();
+
+        if (this.enabled) {
+            client.collectDefaultMetrics({ register: this.register });
+        }
+
+        this.stageDuration = new client.Histogram({
+            name: 'screenshot_capture_stage_duration_seconds',
+            help: 'Duration of each capture stage in seconds',
+            labelNames: ['stage'],
+            buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 40, 60, 120],
+            registers: [this.register]
+        });
+
+        this.capturesTotal = new client.Counter({
+            name: 'screenshot_captures_total',
+            help: 'Captures rendered, by outcome, output format and capture type',
+            labelNames: ['status', 'format', 'type'],
+            registers: [this.register]
+        });
+
+        this.capturedBytes = new client.Counter({
+            name: 'screenshot_captured_bytes_total',
+            help: 'Bytes of encoded images produced',
+            registers: [this.register]
+        });
+
+        new client.Gauge({
+            name: 'screenshot_captures_in_flight',
+            help: 'Captures currently running',
+            registers: [this.register],
+            collect() {
+                this.set(captureQueue.getStats().active);
+            }
+        });
+
+        new client.Gauge({
+            name: 'screenshot_queue_depth',
+            help: 'Requests waiting for a capture slot',
+            registers: [this.register],
+            collect() {
+                this.set(captureQueue.getStats().depth);
+            }
+        });
+
+        new client.Gauge({
+            name: 'screenshot_browsers',
+            help: 'Browsers currently running in the pool',
+            registers: [this.register],
+            collect() {
+                this.set(browserPool.getStats().size);
+            }
+        });
+
+        registerCollector(METRICS_CHANNEL, () => this.register.getMetricsAsJSON());
+    }
+
+    /**
+     * Record a finished capture
+     * @param {Object} capture - Outcome, format, type, encoded size and stage timings in ms
+     */
+    recordCapture({ status, format, type, bytes, timings }) {
+        this.capturesTotal.inc({ status, format, type });
+
+        if (bytes) {
+            this.capturedBytes.inc(bytes);
+        }
+
+        for (const [stage, duration] of Object.entries(timings || {})) {
+            this.stageDuration.observe({ stage }, duration / 1000);
+        }
+    }
+
+    get contentType() {
+        return this.register.contentType;
+    }
+
+    /**
+     * Metrics of every cluster worker in the Prometheus text format
+     * @returns {Promise<string>}
+     */
+    async getClusterMetrics() {
+        const responses = await collectFromWorkers(METRICS_CHANNEL);
+        const aggregated = client.AggregatorRegistry.aggregate(responses.map(response => response.result));
+        return aggregated.metrics();
+    }
+}
+
+module.exports = new MetricsService();
@@ -0,0 +1,155 @@
+const browserPool = require('./browserPool');
+const captureQueue = require('./captureQueue');
+const captureStats = require('./captureStats');
+const metrics = require('./metrics');
+const screenshotService = require('./screenshotService');
+const logger = require('../utils/logger');
+
+/**
+ * Count the page objects in a PDF produced by Chromium
+ * @param {Buffer} pdf - PDF bytes
+ * @returns {number} - Number of pages
+ */
+const countPages = (pdf) => {
+    const matches = pdf.toString('latin1').match(/\/Type\s*\/Page(?!s)/g);
+    return matches ? matches.length : 0;
+};
+
+/**
+ * Renders pages to PDF. Shares the browser pool, capture queue, URL checks
+ * and navigation with the screenshot service so PDFs are subject to the same
+ * limits and security rules as image captures.
+ */
+class PdfService {
+    /**
+     * Fill in defaults and resolve the URL for a PDF request
+     * @param {Object} options - Raw PDF options
+     * @returns {Object} - Normalised PDF options
+     */
+    normaliseOptions(options) {
+        return {
+            ...options,
+            url: screenshotService.resolveUrl(options.url),
+            format: options.format || 'A4',
+            landscape: options.landscape === true || options.landscape === 'true',
+            printBackground: options.printBackground !== false && options.printBackground !== 'false',
+            scale: parseFloat(options.scale) || 1,
+            media: options.media === 'screen' ? 'screen' : 'print'
+        };
+    }
+
+    /**
+     * Build the options passed to page.pdf()
+     * @param {Object} pdfOptions - Normalised PDF options
+     * @returns {Object} - Puppeteer PDF options
+     */
+    buildPrintOptions(pdfOptions) {
+        const printOptions = {
+            landscape: pdfOptions.landscape,
+            printBackground: pdfOptions.printBackground,
+            scale: pdfOptions.scale,
+            preferCSSPageSize: false
+        };
+
+        if (pdfOptions.width && pdfOptions.height) {
+            printOptions.width = pdfOptions.width;
+            printOptions.height = pdfOptions.height;
+        } else {
+            printOptions.format = pdfOptions.format;
+        }
+
+        if (pdfOptions.margin) {
+            printOptions.margin = pdfOptions.margin;
+        }
+
+        if (pdfOptions.pageRanges) {
+            printOptions.pageRanges = pdfOptions.pageRanges;
+        }
+
+        if (pdfOptions.headerTemplate || pdfOptions.footerTemplate) {
+            printOptions.displayHeaderFooter = true;
+            // Chromium prints its own default header when only a footer is given
+            printOptions.headerTemplate = pdfOptions.headerTemplate || '<span></span>';
+            printOptions.footerTemplate = pdfOptions.footerTemplate || '<span></span>';
+        }
+
+        return printOptions;
+    }
+
+    /**
+     * Render a URL to PDF once the capture queue admits the request
+     * @param {Object} options - PDF options
+     * @returns {Promise<Object>} - Base64 PDF and metadata
+     */
+    async renderPdf(options) {
+        const pdfOptions = this.normaliseOptions(options);
+
+        return captureQueue.run(async ({ waitMs }) => {
+            const result = await this.render(pdfOptions);
+            return { ...result, queueTime: waitMs };
+        });
+    }
+
+    /**
+     * Navigate, print and record timings for a single PDF
+     * @param {Object} pdfOptions - Normalised PDF options
+     * @returns {Promise<Object>} - Base64 PDF and metadata
+     */
+    async render(pdfOptions) {
+        let lease = null;
+        const timings = {};
+        const startedAt = Date.now();
+        let stageStartedAt = startedAt;
+        const endStage = (stage) => {
+            const now = Date.now();
+            timings[stage] = now - stageStartedAt;
+            stageStartedAt = now;
+        };
+
+        try {
+            lease = await browserPool.acquire();
+            const { page } = lease;
+
+            await page.setJavaScriptEnabled(true);
+            await page.setBypassCSP(true);
+            await page.setViewport({ width: 1366, height: 800, deviceScaleFactor: 1 });
+            endStage('launch');
+
+            const { network, scriptErrors } = await screenshotService.navigate(page, pdfOptions);
+            await page.emulateMediaType(pdfOptions.media);
+            endStage('navigate');
+
+            const pdf = await page.pdf(this.buildPrintOptions(pdfOptions));
+            endStage('capture');
+            timings.total = Date.now() - startedAt;
+
+            captureStats.recordSuccess({ format: 'pdf', type: 'pdf', bytes: pdf.length, timings });
+            metrics.recordCapture({ status: 'success', format: 'pdf', type: 'pdf', bytes: pdf.length, timings });
+
+            return {
+                pdf: pdf.toString('base64'),
+                contentType: 'application/pdf',
+                size: pdf.length,
+                pages: countPages(pdf),
+                blockedRequests: network.blocked,
+                scriptErrors
+            };
+        } catch (error) {
+            timings.total = Date.now() - startedAt;
+            captureStats.recordFailure(error, timings);
+            metrics.recordCapture({ status: 'failure', format: 'pdf', type: 'pdf', timings });
+            logger.error('PDF rendering failed:', error);
+            throw error;
+        } finally {
+            if (lease) {
+                try {
+                    await lease.release();
+                } catch (error) {
+                    logger.error('Error releasing page:', error);
+                }
+            }
+        }
+    }
+}
+
+module.exports = new PdfService();
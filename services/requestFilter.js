@@ -0,0 +1,135 @@
+const logger = require('../utils/logger');
+const { isAdHost } = require('../utils/adBlocklist');
+const { validateUrl } = require('../utils/helpers');
+
+const RESOURCE_TYPES = [
+    'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack',
+    'xhr', 'fetch', 'eventsource', 'websocket', 'manifest', 'other'
+];
+
+const DEFAULT_BLOCKED_RESOURCES = (process.env.BLOCKED_RESOURCES || '')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(type => RESOURCE_TYPES.includes(type));
+
+/**
+ * Turn a URL pattern with `*` wildcards into a regular expression
+ * @param {string} pattern - e.g. `*://*.example.com/ads/*` or a plain substring
+ * @returns {RegExp} - Case-insensitive matcher
+ */
+const patternToRegExp = (pattern) => {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    // Patterns without wildcards match anywhere in the URL
+    return new RegExp(pattern.includes('*') ? `^${escaped}$` : escaped, 'i');
+};
+
+// Schemes inline content may use without a network request
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+// WebSocket handshakes never reach request interception, so they are
+// blocked by scheme through the DevTools protocol instead
+const WEBSOCKET_URL_PATTERNS = ['ws://*', 'wss://*'];
+
+/**
+ * Intercepts page requests to block resource types, URL patterns and
+ * known ad/tracker hosts. The main document of a URL capture is never
+ * blocked. Inline HTML has no trusted origin, so every request it makes must
+ * pass the same URL safety checks as a captured URL, and it cannot open
+ * WebSockets at all.
+ */
+class RequestFilter {
+    constructor() {
+        this.resourceTypes = RESOURCE_TYPES;
+        this.defaultBlockedResources = DEFAULT_BLOCKED_RESOURCES;
+    }
+
+    /**
+     * Enable interception on a page when the options ask for any blocking
+     * @param {Object} page - Puppeteer page
+     * @param {Object} options - Capture options with blockResources, blockUrls, blockAds and html
+     * @returns {Promise<Object>} - Live counters of blocked requests
+     */
+    async attach(page, options) {
+        const blockedTypes = new Set(options.blockResources || this.defaultBlockedResources);
+        const urlMatchers = (options.blockUrls || []).map(patternToRegExp);
+        const blockAds = options.blockAds === true || options.blockAds === 'true';
+        const safeUrlsOnly = Boolean(options.html);
+
+        const stats = {
+            blocked: 0,
+            byReason: {
+                resourceType: 0,
+                urlPattern: 0,
+                ads: 0,
+                unsafeUrl: 0
+            }
+        };
+
+        if (blockedTypes.size === 0 && urlMatchers.length === 0 && !blockAds && !safeUrlsOnly) {
+            return stats;
+        }
+
+        if (safeUrlsOnly || blockedTypes.has('websocket')) {
+            const session = await page.target().createCDPSession();
+            await session.send('Network.enable');
+            await session.send('Network.setBlockedURLs', { urls: WEBSOCKET_URL_PATTERNS });
+        }
+
+        await page.setRequestInterception(true);
+
+        page.on('request', (request) => {
+            if (request.isInterceptResolutionHandled()) return;
+
+            const reason = this.getBlockReason(page, request, { blockedTypes, urlMatchers, blockAds, safeUrlsOnly });
+
+            if (reason) {
+                stats.blocked++;
+                stats.byReason[reason]++;
+                request.abort('blockedbyclient').catch(error => {
+                    logger.debug('Failed to abort request', { url: request.url(), error: error.message });
+                });
+            } else {
+                request.continue().catch(error => {
+                    logger.debug('Failed to continue request', { url: request.url(), error: error.message });
+                });
+            }
+        });
+
+        return stats;
+    }
+
+    getBlockReason(page, request, { blockedTypes, urlMatchers, blockAds, safeUrlsOnly }) {
+        const url = request.url();
+
+        if (safeUrlsOnly && !LOCAL_SCHEMES.some(scheme => url.startsWith(scheme)) && !validateUrl(url)) {
+            logger.warn('Blocked unsafe request from inline content', { url });
+            return 'unsafeUrl';
+        }
+
+        if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+            return null;
+        }
+
+        if (blockedTypes.has(request.resourceType())) {
+            return 'resourceType';
+        }
+
+        if (urlMatchers.some(matcher => matcher.test(url))) {
+            return 'urlPattern';
+        }
+
+        if (blockAds) {
+            try {
+                if (isAdHost(new URL(url).hostname)) {
+                    return 'ads';
+                }
+            } catch (error) {
+                // data: and blob: URLs have no host to check
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = new RequestFilter();
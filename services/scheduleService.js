@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const screenshotService = require('./screenshotService');
+const scheduleStore = require('./scheduleStore');
+const storageService = require('./storageService');
+const webhookService = require('./webhookService');
+const logger = require('../utils/logger');
+const { handleOnWorker } = require('../utils/clusterBus');
+const { redactSecrets } = require('../utils/helpers');
+const { ScreenshotError } = require('../middleware/errorHandler');
+
+// Storage destinations without a key of their own
+const SCHEDULE_KEY_TEMPLATE = 'schedules/{schedule}/{date}/{time}-{hash}.{ext}';
+
+/**
+ * Recurring captures. The master fires due schedules (see scheduleStore)
+ * and hands each run to one worker, which captures the page and sends the
+ * image to the schedule's destination: the storage backend or a signed
+ * webhook.
+ */
+class ScheduleService {
+    constructor() {
+        handleOnWorker(scheduleStore.runChannel, ({ schedule, run }) => this.execute(schedule, run));
+    }
+
+    /**
+     * Store a new schedule; it first runs at the next time its cron
+     * expression matches
+     * @param {Object} schedule - Schedule settings
+     * @param {string} [schedule.name] - Label for listings
+     * @param {string} schedule.cron - Five-field cron expression, in UTC
+     * @param {Object} schedule.options - Capture options
+     * @param {Object} schedule.destination - `{ type: 'storage', key }` or `{ type: 'webhook', url }`
+     * @returns {Promise<Object>} - Schedule record
+     */
+    async create({ name, cron, options, destination }) {
+        if (destination.type === 'webhook' && !webhookService.enabled) {
+            throw new ScreenshotError('Webhook destinations are disabled because WEBHOOK_SECRET is not set', 400, 'CALLBACKS_NOT_CONFIGURED');
+        }
+        if (destination.type === 'storage') {
+            storageService.assertAvailable();
+        }
+
+        const { cache, ttl, ...captureOptions } = options;
+        const schedule = await scheduleStore.create({
+            id: crypto.randomUUID(),
+            name: name || null,
+            cron,
+            options: captureOptions,
+            destination
+        });
+
+        logger.info('Schedule created', { id: schedule.id, name: schedule.name, cron, nextRunAt: schedule.nextRunAt });
+        return schedule;
+    }
+
+    /**
+     * Capture one run of a schedule and deliver the image. Runs in the
+     * worker the master picked.
+     * @param {Object} schedule - Schedule ID, name, options and destination
+     * @param {Object} run - Run ID and timing
+     * @returns {Promise<Object>} - Run output kept in the schedule's history
+     */
+    async execute(schedule, run) {
+        const result = await screenshotService.takeScreenshot({ ...schedule.options, cache: false });
+        const image = Buffer.from(result.image, 'base64');
+        const output = {
+            contentType: result.contentType,
+            size: result.size,
+            dimensions: result.dimensions
+        };
+
+        if (schedule.destination.type === 'webhook') {
+            return { ...output, ...(await this.sendToWebhook(schedule, run, output, image)) };
+        }
+        return { ...output, ...(await this.store(schedule, output, image)) };
+    }
+
+    async store(schedule, output, image) {
+        const { contentType, size, ...stored } = await storageService.store(image, {
+            contentType: output.contentType,
+            url: schedule.options.url && screenshotService.resolveUrl(schedule.options.url),
+            keyTemplate: schedule.destination.key || SCHEDULE_KEY_TEMPLATE,
+            variables: { schedule: schedule.id },
+            baseUrl: process.env.PUBLIC_BASE_URL
+        });
+
+        return stored;
+    }
+
+    async sendToWebhook(schedule, run, output, image) {
+        const { delivered, attempts, error } = await webhookService.send(schedule.destination.url, {
+            event: 'schedule.run',
+            id: run.id,
+            payload: {
+                event: 'schedule.run',
+                schedule: { id: schedule.id, name: schedule.name },
+                run: { id: run.id, scheduledFor: run.scheduledFor, startedAt: run.startedAt },
+                ...output,
+                image: image.toString('base64')
+            }
+        });
+
+        if (!delivered) {
+            throw new ScreenshotError(`Webhook delivery failed after ${attempts} attempt(s): ${error}`, 502, 'WEBHOOK_FAILED');
+        }
+        return { delivered, attempts };
+    }
+
+    list() {
+        return scheduleStore.list();
+    }
+
+    get(id) {
+        return scheduleStore.get(id);
+    }
+
+    pause(id) {
+        return scheduleStore.setStatus(id, 'paused');
+    }
+
+    resume(id) {
+        return scheduleStore.setStatus(id, 'active');
+    }
+
+    remove(id) {
+        return scheduleStore.remove(id);
+    }
+
+    /**
+     * Public view of a schedule, with stored credentials masked
+     * @param {Object} schedule - Schedule record
+     * @returns {Object} - Schedule as returned by the API
+     */
+    present(schedule) {
+        const base = `/api/schedules/${schedule.id}`;
+
+        return {
+            ...schedule,
+            options: redactSecrets(schedule.options),
+            links: {
+                self: base,
+                runs: `${base}/runs`,
+                pause: `${base}/pause`,
+                resume: `${base}/resume`
+            }
+        };
+    }
+}
+
+module.exports = new ScheduleService();
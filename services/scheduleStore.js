@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { parseCron, nextRun } = require('../utils/cron');
+const { handleOnMaster, requestMaster, requestWorker } = require('../utils/clusterBus');
+const { ScreenshotError, describeError } = require('../middleware/errorHandler');
+
+const SCHEDULES_CHANNEL = 'schedules';
+const SCHEDULE_RUN_CHANNEL = 'schedules:run';
+const SCHEDULES_FILE = path.resolve(process.env.SCHEDULES_FILE || path.join(__dirname, '..', 'data', 'schedules.json'));
+const MAX_SCHEDULES = parseInt(process.env.MAX_SCHEDULES) || 100;
+const SCHEDULE_HISTORY = parseInt(process.env.SCHEDULE_HISTORY) || 20;
+const SCHEDULE_RUN_TIMEOUT_MS = parseInt(process.env.SCHEDULE_RUN_TIMEOUT_MS) || 300000;
+
+// Fire a little after each minute starts so the due time has passed
+const TICK_OFFSET_MS = 50;
+
+/**
+ * Authoritative schedule records. Lives in the cluster master (or the only
+ * process outside a cluster), which is the only process that fires
+ * schedules; each run is handed to one worker, so runs are never
+ * duplicated. Schedules are kept in SCHEDULES_FILE and survive restarts.
+ * Runs missed while the service was down are not caught up.
+ */
+class ScheduleRegistry {
+    constructor() {
+        this.schedules = new Map();
+        this.crons = new Map();
+        this.timer = null;
+        this.saving = Promise.resolve();
+        this.load();
+    }
+
+    load() {
+        let stored;
+        try {
+            stored = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+
+            // Keep the unreadable file for inspection rather than overwrite it
+            logger.error('Failed to read schedules, starting without them', { file: SCHEDULES_FILE, error: error.message });
+            fs.renameSync(SCHEDULES_FILE, `${SCHEDULES_FILE}.invalid`);
+            return;
+        }
+
+        for (const schedule of stored) {
+            try {
+                this.crons.set(schedule.id, parseCron(schedule.cron));
+            } catch (error) {
+                logger.error('Skipping schedule with an invalid cron expression', { id: schedule.id, cron: schedule.cron });
+                continue;
+            }
+
+            schedule.running = null;
+            schedule.nextRunAt = schedule.status === 'active' ? this.nextRunAt(schedule.id) : null;
+            this.schedules.set(schedule.id, schedule);
+        }
+
+        logger.info('Schedules loaded', { count: this.schedules.size, file: SCHEDULES_FILE });
+    }
+
+    /**
+     * Write every schedule out, one write at a time
+     */
+    persist() {
+        const data = JSON.stringify([...this.schedules.values()], null, 2);
+
+        this.saving = this.saving.then(async () => {
+            const tempPath = `${SCHEDULES_FILE}.${process.pid}.tmp`;
+            await fs.promises.mkdir(path.dirname(SCHEDULES_FILE), { recursive: true });
+            await fs.promises.writeFile(tempPath, data);
+            await fs.promises.rename(tempPath, SCHEDULES_FILE);
+        }).catch((error) => {
+            logger.error('Failed to save schedules', { file: SCHEDULES_FILE, error: error.message });
+        });
+
+        return this.saving;
+    }
+
+    /**
+     * Start firing due schedules at the start of every minute
+     */
+    start() {
+        if (this.timer) return;
+
+        const tick = () => {
+            this.timer = setTimeout(() => {
+                this.fireDue();
+                tick();
+            }, 60000 - (Date.now() % 60000) + TICK_OFFSET_MS);
+            this.timer.unref();
+        };
+
+        tick();
+        logger.info('Scheduler started', { schedules: this.schedules.size });
+    }
+
+    nextRunAt(id, after = Date.now()) {
+        const next = nextRun(this.crons.get(id), after);
+        return next ? next.toISOString() : null;
+    }
+
+    fireDue(now = Date.now()) {
+        let fired = false;
+
+        for (const schedule of this.schedules.values()) {
+            if (schedule.status !== 'active' || !schedule.nextRunAt || Date.parse(schedule.nextRunAt) > now) {
+                continue;
+            }
+
+            const scheduledFor = schedule.nextRunAt;
+            schedule.nextRunAt = this.nextRunAt(schedule.id, now);
+            fired = true;
+
+            if (schedule.running) {
+                this.addRun(schedule, {
+                    id: crypto.randomUUID(),
+                    scheduledFor,
+                    status: 'skipped',
+                    error: { message: 'The previous run was still in progress', type: 'RUN_IN_PROGRESS' }
+                });
+            } else {
+                this.dispatch(schedule, scheduledFor);
+            }
+        }
+
+        if (fired) {
+            this.persist();
+        }
+    }
+
+    /**
+     * Hand a run to one worker and record its outcome
+     */
+    dispatch(schedule, scheduledFor) {
+        const run = { id: crypto.randomUUID(), scheduledFor, startedAt: new Date().toISOString() };
+        const { id, name, options, destination } = schedule;
+
+        schedule.running = run;
+        logger.info('Schedule fired', { id, name, runId: run.id });
+
+        requestWorker(SCHEDULE_RUN_CHANNEL, { schedule: { id, name, options, destination }, run }, SCHEDULE_RUN_TIMEOUT_MS)
+            .then(output => this.finishRun(id, run, { status: 'succeeded', output }))
+            .catch((error) => {
+                logger.error('Scheduled run failed', { id, name, runId: run.id, error: error.message });
+                this.finishRun(id, run, { status: 'failed', error: describeError(error) });
+            });
+    }
+
+    finishRun(id, run, outcome) {
+        const schedule = this.schedules.get(id);
+
+        // Deleted while the run was in progress
+        if (!schedule || !schedule.running || schedule.running.id !== run.id) {
+            return;
+        }
+
+        const finishedAt = Date.now();
+        schedule.running = null;
+        this.addRun(schedule, {
+            ...run,
+            ...outcome,
+            finishedAt: new Date(finishedAt).toISOString(),
+            durationMs: finishedAt - Date.parse(run.startedAt)
+        });
+        this.persist();
+    }
+
+    addRun(schedule, run) {
+        schedule.runs.unshift(run);
+        schedule.runs.splice(SCHEDULE_HISTORY);
+        if (run.startedAt) {
+            schedule.lastRunAt = run.startedAt;
+        }
+        schedule.runCounts[run.status] = (schedule.runCounts[run.status] || 0) + 1;
+    }
+
+    create({ schedule }) {
+        if (this.schedules.size >= MAX_SCHEDULES) {
+            throw new ScreenshotError(`No more than ${MAX_SCHEDULES} schedules can be stored`, 409, 'TOO_MANY_SCHEDULES');
+        }
+
+        const now = new Date().toISOString();
+        this.crons.set(schedule.id, parseCron(schedule.cron));
+
+        const record = {
+            ...schedule,
+            status: 'active',
+            createdAt: now,
+            updatedAt: now,
+            nextRunAt: this.nextRunAt(schedule.id),
+            lastRunAt: null,
+            running: null,
+            runCounts: {},
+            runs: []
+        };
+
+        this.schedules.set(record.id, record);
+        this.persist();
+        return record;
+    }
+
+    list() {
+        return [...this.schedules.values()]
+            .map(({ runs, ...schedule }) => ({ ...schedule, lastRun: runs[0] || null }))
+            .sort((first, second) => first.createdAt.localeCompare(second.createdAt));
+    }
+
+    get({ id }) {
+        return this.schedules.get(id) || null;
+    }
+
+    /**
+     * Pause or resume a schedule. A run in progress is left to finish.
+     */
+    setStatus({ id, status }) {
+        const schedule = this.schedules.get(id);
+        if (!schedule) {
+            return null;
+        }
+
+        if (schedule.status !== status) {
+            schedule.status = status;
+            schedule.nextRunAt = status === 'active' ? this.nextRunAt(id) : null;
+            schedule.updatedAt = new Date().toISOString();
+            this.persist();
+        }
+
+        return schedule;
+    }
+
+    remove({ id }) {
+        const schedule = this.schedules.get(id);
+        if (!schedule) {
+            return null;
+        }
+
+        this.schedules.delete(id);
+        this.crons.delete(id);
+        this.persist();
+        return schedule;
+    }
+}
+
+// Created on first use so workers in a cluster never load or fire schedules
+let registry = null;
+const getRegistry = () => {
+    if (!registry) {
+        registry = new ScheduleRegistry();
+    }
+    return registry;
+};
+
+handleOnMaster(SCHEDULES_CHANNEL, ({ op, ...args }) => {
+    if (!['create', 'list', 'get', 'setStatus', 'remove'].includes(op)) {
+        throw new Error(`Unknown schedule operation "${op}"`);
+    }
+    return getRegistry()[op](args);
+});
+
+/**
+ * Worker-side access to the shared schedules
+ */
+class ScheduleStore {
+    constructor() {
+        this.runChannel = SCHEDULE_RUN_CHANNEL;
+    }
+
+    /**
+     * Load the stored schedules and start firing them. Call this in the
+     * master, or in the only process outside a cluster.
+     */
+    start() {
+        getRegistry().start();
+    }
+
+    create(schedule) {
+        return requestMaster(SCHEDULES_CHANNEL, { op: 'create', schedule });
+    }
+
+    list() {
+        return requestMaster(SCHEDULES_CHANNEL, { op: 'list' });
+    }
+
+    async get(id) {
+        const schedule = await requestMaster(SCHEDULES_CHANNEL, { op: 'get', id });
+        if (!schedule) {
+            throw new ScreenshotError(`Schedule ${id} was not found`, 404, 'SCHEDULE_NOT_FOUND');
+        }
+        return schedule;
+    }
+
+    async setStatus(id, status) {
+        const schedule = await requestMaster(SCHEDULES_CHANNEL, { op: 'setStatus', id, status });
+        if (!schedule) {
+            throw new ScreenshotError(`Schedule ${id} was not found`, 404, 'SCHEDULE_NOT_FOUND');
+        }
+        return schedule;
+    }
+
+    async remove(id) {
+        const schedule = await requestMaster(SCHEDULES_CHANNEL, { op: 'remove', id });
+        if (!schedule) {
+            throw new ScreenshotError(`Schedule ${id} was not found`, 404, 'SCHEDULE_NOT_FOUND');
+        }
+        return schedule;
+    }
+}
+
+module.exports = new ScheduleStore();
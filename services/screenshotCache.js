@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const logger = require('../utils/logger');
+
+// Options that control caching itself and must not change the cache key
+const KEY_EXCLUDED_OPTIONS = ['cache', 'ttl'];
+
+/**
+ * In-memory cache of finished captures, keyed on the normalised capture
+ * options. Entries expire after their TTL and the oldest entries are evicted
+ * once the cached images exceed the configured memory budget.
+ */
+class ScreenshotCache {
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? process.env.ENABLE_CACHE === 'true';
+        this.defaultTtl = options.defaultTtl ?? (parseInt(process.env.CACHE_TTL_SECONDS) || 3600);
+        this.maxTtl = options.maxTtl || parseInt(process.env.CACHE_MAX_TTL_SECONDS) || 86400;
+        this.maxBytes = options.maxBytes || (parseInt(process.env.CACHE_MAX_MEMORY_MB) || 256) * 1024 * 1024;
+
+        this.store = new NodeCache({
+            stdTTL: this.defaultTtl,
+            checkperiod: Math.min(600, Math.max(60, Math.floor(this.defaultTtl / 2))),
+            useClones: false
+        });
+
+        this.bytes = 0;
+        this.entrySizes = new Map();
+        this.counters = {
+            hits: 0,
+            misses: 0,
+            sets: 0,
+            evictions: 0,
+            bypassed: 0
+        };
+
+        this.store.on('del', (key) => this.forget(key));
+        this.store.on('expired', (key) => this.forget(key));
+    }
+
+    /**
+     * Build a stable cache key from normalised capture options
+     * @param {Object} options - Normalised capture options
+     * @returns {string} - Cache key
+     */
+    buildKey(options) {
+        const keyData = Object.keys(options)
+            .filter(key => !KEY_EXCLUDED_OPTIONS.includes(key) && options[key] !== undefined)
+            .sort()
+            .reduce((data, key) => {
+                data[key] = options[key];
+                return data;
+            }, {});
+
+        return crypto.createHash('sha256').update(JSON.stringify(keyData)).digest('hex');
+    }
+
+    /**
+     * Whether a request may be served from or stored in the cache
+     * @param {Object} options - Capture options
+     * @returns {boolean}
+     */
+    isEnabledFor(options) {
+        if (!this.enabled) return false;
+
+        const cacheOption = options.cache;
+        if (cacheOption === false || cacheOption === 'false') {
+            this.counters.bypassed++;
+            return false;
+        }
+
+        return true;
+    }
+
+    get(key) {
+        const entry = this.store.get(key);
+        if (entry) {
+            this.counters.hits++;
+            return entry;
+        }
+
+        this.counters.misses++;
+        return undefined;
+    }
+
+    /**
+     * Store a capture result
+     * @param {string} key - Cache key
+     * @param {Object} result - Capture result with base64 image
+     * @param {number} [ttl] - Per-request TTL in seconds
+     */
+    set(key, result, ttl) {
+        const size = this.measure(result);
+        if (size > this.maxBytes) {
+            logger.debug('Capture too large to cache', { size, maxBytes: this.maxBytes });
+            return false;
+        }
+
+        const effectiveTtl = ttl === undefined || ttl === null
+            ? this.defaultTtl
+            : Math.min(this.maxTtl, Math.max(0, parseInt(ttl) || 0));
+
+        // A TTL of 0 means "do not keep", not node-cache's "keep forever"
+        if (effectiveTtl === 0) {
+            return false;
+        }
+
+        if (this.entrySizes.has(key)) {
+            this.store.del(key);
+        }
+
+        this.evictFor(size);
+
+        this.store.set(key, result, effectiveTtl);
+        this.entrySizes.set(key, size);
+        this.bytes += size;
+        this.counters.sets++;
+        return true;
+    }
+
+    /**
+     * Memory held by a cached result. Images are kept base64 encoded, which
+     * is about a third larger than the encoded image size in `result.size`.
+     * @param {Object} result - Capture result with base64 image or images
+     * @returns {number} - Bytes
+     */
+    measure(result) {
+        const images = result.images ? result.images.map(entry => entry.image) : [result.image];
+        return images.reduce((sum, image) => sum + Buffer.byteLength(image || ''), 0);
+    }
+
+    evictFor(size) {
+        // Map iteration follows insertion order, so the first keys are the oldest
+        for (const key of this.entrySizes.keys()) {
+            if (this.bytes + size <= this.maxBytes) break;
+            this.store.del(key);
+            this.counters.evictions++;
+        }
+    }
+
+    forget(key) {
+        const size = this.entrySizes.get(key);
+        if (size !== undefined) {
+            this.bytes -= size;
+            this.entrySizes.delete(key);
+        }
+    }
+
+    flush() {
+        this.store.flushAll();
+        this.entrySizes.clear();
+        this.bytes = 0;
+    }
+
+    getStats() {
+        const lookups = this.counters.hits + this.counters.misses;
+
+        return {
+            enabled: this.enabled,
+            keys: this.entrySizes.size,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+            defaultTtl: this.defaultTtl,
+            hitRate: lookups > 0 ? Number((this.counters.hits / lookups).toFixed(3)) : 0,
+            ...this.counters
+        };
+    }
+}
+
+module.exports = new ScreenshotCache();
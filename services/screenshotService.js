@@ -1,214 +1,1045 @@
-const chromium = require('@sparticuz/chromium');
-const puppeteer = require('puppeteer-core');
 const sharp = require('sharp');
+const browserPool = require('./browserPool');
+const captureQueue = require('./captureQueue');
+const screenshotCache = require('./screenshotCache');
+const captureStats = require('./captureStats');
+const metrics = require('./metrics');
+const requestFilter = require('./requestFilter');
+const templateStore = require('./templateStore');
 const logger = require('../utils/logger');
-const { formatUrl, validateUrl } = require('../utils/helpers');
+const { formatUrl, validateUrl, sleep } = require('../utils/helpers');
+const { registerCollector, collectFromWorkers } = require('../utils/clusterBus');
+const { ScreenshotError, TimeoutError } = require('../middleware/errorHandler');
+const { getDevicePreset } = require('../utils/devices');
+const { escapeHtml } = require('../utils/templateEngine');
+
+const STATS_CHANNEL = 'screenshot:stats';
+const CONTENT_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    avif: 'image/avif'
+};
+const MAX_SCALE = 3;
+const MAX_CAPTURE_PIXELS = parseInt(process.env.MAX_CAPTURE_PIXELS) || 40000000;
+const NAVIGATION_TIMEOUT_MS = parseInt(process.env.NAVIGATION_TIMEOUT_MS) || 60000;
+const PAGE_TIMEOUT_MS = parseInt(process.env.PAGE_TIMEOUT_MS) || 30000;
+const WAIT_AFTER_LOAD_MS = parseInt(process.env.WAIT_AFTER_LOAD_MS) || 0;
+const SELECTOR_TIMEOUT_MS = parseInt(process.env.SELECTOR_TIMEOUT_MS) || 10000;
+
+// Quiet period awaited after resizing an already loaded page
+const VIEWPORT_IDLE_MS = 500;
+const MONTAGE_SPACING = 40;
+const MONTAGE_BACKGROUND = '#ffffff';
+const MONTAGE_LABEL_HEIGHT = 40;
+
+/**
+ * Work out which kind of capture the options ask for
+ * @param {Object} options - Raw capture options
+ * @returns {string} - full, top, element, clip or scroll
+ */
+const resolveCaptureType = (options) => {
+    if (options.selector) return 'element';
+    if (options.clip) return 'clip';
+    if (options.scrollTo !== undefined && options.scrollTo !== null) return 'scroll';
+    return (options.type || 'full').toLowerCase();
+};
+
+/**
+ * Draw a montage label as SVG, in black or white depending on the background
+ * @param {string} text - Label text
+ * @param {number} width - Label width in pixels
+ * @param {number} height - Label height in pixels
+ * @param {string} background - Montage background as #rgb or #rrggbb
+ * @returns {Buffer} - SVG image
+ */
+const renderLabel = (text, width, height, background) => {
+    const hex = background.replace('#', '');
+    const channels = hex.length === 3
+        ? hex.split('').map(digit => parseInt(digit + digit, 16))
+        : [0, 2, 4].map(offset => parseInt(hex.substr(offset, 2), 16));
+    const luminance = (0.299 * channels[0] + 0.587 * channels[1] + 0.114 * channels[2]) / 255;
+    const colour = luminance > 0.5 ? '#111111' : '#f5f5f5';
+
+    return Buffer.from(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+        `<text x="0" y="${Math.round(height * 0.65)}" font-family="sans-serif" font-size="${Math.round(height * 0.5)}" fill="${colour}">` +
+        `${escapeHtml(text)}</text></svg>`
+    );
+};
+
+/**
+ * Viewport details reported back to the caller
+ * @param {Object} viewport - Normalised viewport
+ * @returns {Object} - Viewport without its user agent
+ */
+const describeViewport = ({ userAgent, ...viewport }) => viewport;
+
+/**
+ * Sum the numeric fields of several stats objects, ignoring everything else
+ * @param {Object[]} statsList - Stats objects with matching shapes
+ * @returns {Object} - Field-wise totals
+ */
+const sumNumericFields = (statsList) => {
+    return statsList.reduce((totals, stats) => {
+        for (const [key, value] of Object.entries(stats || {})) {
+            if (typeof value === 'number') {
+                totals[key] = (totals[key] || 0) + value;
+            }
+        }
+        return totals;
+    }, {});
+};
 
 class SimpleScreenshotService {
     constructor() {
-        // No complex tab pool - just simple screenshot taking
+        this.pool = browserPool;
+        this.queue = captureQueue;
+        this.cache = screenshotCache;
+        this.stats = captureStats;
+
+        registerCollector(STATS_CHANNEL, () => this.getStatsSnapshot());
+    }
+
+    /**
+     * Start the pooled browsers ahead of the first request
+     */
+    async warmUp() {
+        await this.pool.warmUp();
+    }
+
+    /**
+     * Close pooled browsers before the worker exits
+     */
+    async shutdown() {
+        await this.pool.drain();
+    }
+
+    getPoolStats() {
+        return this.pool.getStats();
+    }
+
+    getQueueStats() {
+        return this.queue.getStats();
+    }
+
+    getCacheStats() {
+        return this.cache.getStats();
+    }
+
+    /**
+     * Raw statistics of this worker, mergeable with other workers' snapshots
+     */
+    getStatsSnapshot() {
+        return {
+            capture: this.stats.getSnapshot(),
+            pool: this.getPoolStats(),
+            queue: this.getQueueStats(),
+            cache: this.getCacheStats()
+        };
+    }
+
+    /**
+     * Statistics of this worker only
+     * @returns {Object} - Capture, pool, queue and cache statistics
+     */
+    getStats() {
+        const snapshot = this.getStatsSnapshot();
+
+        return {
+            scope: 'worker',
+            ...this.stats.summarise([snapshot.capture]),
+            browserPool: snapshot.pool,
+            queue: snapshot.queue,
+            cache: snapshot.cache
+        };
+    }
+
+    /**
+     * Statistics aggregated across every cluster worker
+     * @returns {Promise<Object>} - Merged statistics with a per-worker breakdown
+     */
+    async getClusterStats() {
+        const responses = await collectFromWorkers(STATS_CHANNEL);
+        const snapshots = responses.map(response => response.result);
+
+        return {
+            scope: 'cluster',
+            workerCount: snapshots.length,
+            ...this.stats.summarise(snapshots.map(snapshot => snapshot.capture)),
+            browserPool: sumNumericFields(snapshots.map(snapshot => snapshot.pool)),
+            queue: sumNumericFields(snapshots.map(snapshot => snapshot.queue)),
+            cache: sumNumericFields(snapshots.map(snapshot => snapshot.cache)),
+            workers: responses.map(({ pid, result }) => ({
+                pid,
+                captures: result.capture.counters,
+                browsers: result.pool.size,
+                activeCaptures: result.queue.active,
+                queueDepth: result.queue.depth,
+                cacheKeys: result.cache.keys
+            }))
+        };
+    }
+
+    /**
+     * Check a target URL against the security rules and add a protocol
+     * @param {string} url - URL as given in the request
+     * @returns {string} - URL ready for navigation
+     */
+    resolveUrl(url) {
+        // Add the protocol first: `example.com` is allowed but is not a URL on its own
+        const formatted = url ? formatUrl(url) : url;
+        if (!validateUrl(formatted)) {
+            throw new Error('Invalid URL provided');
+        }
+
+        return formatted;
+    }
+
+    /**
+     * Give the page the user agent, headers, cookies and credentials the
+     * caller asked for before it loads anything
+     * @param {Object} page - Puppeteer page
+     * @param {Object} options - Normalised options with the resolved URL
+     */
+    async applyPageContext(page, options) {
+        if (options.userAgent) {
+            await page.setUserAgent(options.userAgent);
+        }
+
+        if (options.headers && Object.keys(options.headers).length > 0) {
+            await page.setExtraHTTPHeaders(options.headers);
+        }
+
+        if (options.cookies && options.cookies.length > 0) {
+            if (!options.url && options.cookies.some(cookie => !cookie.domain)) {
+                throw new ScreenshotError('Cookies need a domain when rendering HTML', 400, 'COOKIE_DOMAIN_REQUIRED');
+            }
+
+            // Cookies without a domain belong to the captured URL
+            await page.setCookie(...options.cookies.map(cookie => (
+                cookie.domain ? cookie : { ...cookie, url: options.url }
+            )));
+        }
+
+        if (options.authenticate) {
+            await page.authenticate(options.authenticate);
+        }
     }
 
-    async getExecutablePath() {
-        if (process.env.CHROMIUM_PATH) {
-            const fs = require('fs');
+    /**
+     * Load the target URL, or inline HTML, in a leased page and wait until it is ready.
+     * Navigation is bounded by NAVIGATION_TIMEOUT_MS and the extra waits by
+     * PAGE_TIMEOUT_MS; a per-request timeout can only lower them.
+     * @param {Object} page - Puppeteer page
+     * @param {Object} options - Normalised options with the resolved URL
+     * @returns {Promise<Object>} - Live counters of requests blocked by the request
+     * filter, and errors raised by injected scripts
+     */
+    async navigate(page, options) {
+        await this.applyPageContext(page, options);
+        const network = await requestFilter.attach(page, options);
+
+        const requestedTimeout = parseInt(options.timeout) || NAVIGATION_TIMEOUT_MS;
+        const navigationTimeout = Math.min(NAVIGATION_TIMEOUT_MS, requestedTimeout);
+        const waitTimeout = Math.min(PAGE_TIMEOUT_MS, requestedTimeout);
+
+        const loadOptions = {
+            waitUntil: options.waitUntil || 'networkidle2',
+            timeout: navigationTimeout
+        };
+
+        try {
+            if (options.html) {
+                await page.setContent(options.html, loadOptions);
+            } else {
+                await page.goto(options.url, loadOptions);
+            }
+        } catch (error) {
+            if (error.name === 'TimeoutError') {
+                const target = options.html ? 'HTML content' : options.url;
+                throw new TimeoutError(`Navigation to ${target} timed out after ${navigationTimeout}ms`);
+            }
+            throw error;
+        }
+
+        if (options.waitForSelector) {
             try {
-                if (fs.existsSync(process.env.CHROMIUM_PATH)) {
-                    return process.env.CHROMIUM_PATH;
+                await page.waitForSelector(options.waitForSelector, { timeout: waitTimeout });
+            } catch (error) {
+                if (error.name === 'TimeoutError') {
+                    throw new ScreenshotError(
+                        `Element "${options.waitForSelector}" did not appear within ${waitTimeout}ms`,
+                        422,
+                        'WAIT_CONDITION_TIMEOUT'
+                    );
                 }
+                throw error;
+            }
+        }
+
+        if (options.waitForFunction) {
+            try {
+                await page.waitForFunction(options.waitForFunction, { timeout: waitTimeout, polling: 100 });
             } catch (error) {
-                logger.warn('Error checking CHROMIUM_PATH:', error.message);
+                if (error.name === 'TimeoutError') {
+                    throw new ScreenshotError(
+                        `Condition "${options.waitForFunction}" was not met within ${waitTimeout}ms`,
+                        422,
+                        'WAIT_CONDITION_TIMEOUT'
+                    );
+                }
+                throw error;
             }
         }
-        
+
+        const delay = Math.min(PAGE_TIMEOUT_MS, options.delay !== undefined ? parseInt(options.delay) || 0 : WAIT_AFTER_LOAD_MS);
+        if (delay > 0) {
+            await sleep(delay);
+        }
+
+        const scriptErrors = await this.customisePage(page, options);
+
+        return { network, scriptErrors };
+    }
+
+    /**
+     * Apply injectScript, injectCss, hideSelectors and removeSelectors to a
+     * loaded page. Script errors are collected rather than failing the capture.
+     * @param {Object} page - Puppeteer page
+     * @param {Object} options - Normalised options
+     * @returns {Promise<string[]>} - Error messages raised by the injected script
+     */
+    async customisePage(page, options) {
+        const scriptErrors = [];
+        const isUrl = (source) => /^https?:\/\//i.test(source) && !/\s/.test(source);
+        const selectors = [...(options.hideSelectors || []), ...(options.removeSelectors || [])];
+
+        if (selectors.length > 0) {
+            const invalid = await page.evaluate((list) => list.find((selector) => {
+                try {
+                    document.querySelector(selector);
+                    return false;
+                } catch (error) {
+                    return true;
+                }
+            }), selectors);
+
+            if (invalid) {
+                throw new ScreenshotError(`Invalid CSS selector "${invalid}"`, 400, 'INVALID_SELECTOR');
+            }
+        }
+
+        if (options.injectScript) {
+            // Errors thrown asynchronously by a loaded script surface as page errors
+            const onPageError = (error) => scriptErrors.push(error.message);
+            page.on('pageerror', onPageError);
+
+            try {
+                if (isUrl(options.injectScript)) {
+                    await page.addScriptTag({ url: options.injectScript });
+                } else {
+                    await page.evaluate(options.injectScript);
+                }
+            } catch (error) {
+                scriptErrors.push(error.message);
+            } finally {
+                page.off('pageerror', onPageError);
+            }
+
+            if (scriptErrors.length > 0) {
+                logger.warn('Injected script reported errors', { url: options.url, errors: scriptErrors });
+            }
+        }
+
+        if (options.injectCss) {
+            try {
+                await page.addStyleTag(isUrl(options.injectCss)
+                    ? { url: options.injectCss }
+                    : { content: options.injectCss });
+            } catch (error) {
+                throw new ScreenshotError(`Stylesheet could not be injected: ${error.message}`, 422, 'INJECT_CSS_FAILED');
+            }
+        }
+
+        if (options.hideSelectors && options.hideSelectors.length > 0) {
+            // A stylesheet also hides matching elements that render after this point
+            await page.addStyleTag({
+                content: options.hideSelectors
+                    .map(selector => `${selector} { visibility: hidden !important; }`)
+                    .join('\n')
+            });
+        }
+
+        if (options.removeSelectors && options.removeSelectors.length > 0) {
+            await page.evaluate((list) => {
+                list.forEach(selector => document.querySelectorAll(selector).forEach(element => element.remove()));
+            }, options.removeSelectors);
+        }
+
+        return scriptErrors;
+    }
+
+    /**
+     * Work out the viewport and emulation settings of one rendering
+     * @param {Object} options - Raw width, height, device, scale, isMobile and userAgent
+     * @returns {Object} - Resolved viewport settings
+     */
+    resolveViewport(options) {
+        // Explicit options win over the device preset, which wins over the defaults
+        const preset = getDevicePreset(options.device);
+        const hasMobileOption = options.isMobile !== undefined && options.isMobile !== null;
+        const scale = parseFloat(options.scale) || preset?.deviceScaleFactor || 1;
+
+        return {
+            device: preset ? preset.name : undefined,
+            width: parseInt(options.width) || preset?.width || 1366,
+            height: parseInt(options.height) || preset?.height || 768,
+            isMobile: hasMobileOption
+                ? options.isMobile === 'true' || options.isMobile === true
+                : Boolean(preset?.isMobile),
+            hasTouch: Boolean(preset?.hasTouch),
+            userAgent: options.userAgent || preset?.userAgent || undefined,
+            scale: Math.min(MAX_SCALE, Math.max(1, scale))
+        };
+    }
+
+    /**
+     * Validate the URL and fill in defaults for every capture option
+     * @param {Object} options - Raw capture options
+     * @returns {Object} - Normalised capture options
+     */
+    normaliseOptions(options) {
+        const normalised = {
+            ...options,
+            url: options.html ? undefined : this.resolveUrl(options.url),
+            ...this.resolveViewport(options),
+            quality: Math.min(100, Math.max(0, parseInt(options.quality) || 80)),
+            format: (options.format || 'png').toLowerCase(),
+            type: resolveCaptureType(options)
+        };
+
+        if (options.viewports && options.viewports.length > 0) {
+            normalised.viewports = options.viewports.map((viewport) => {
+                const resolved = this.resolveViewport({
+                    ...viewport,
+                    isMobile: viewport.isMobile ?? viewport.mobile,
+                    scale: viewport.scale ?? options.scale,
+                    userAgent: options.userAgent
+                });
+
+                return {
+                    label: viewport.label || resolved.device || `${resolved.width}x${resolved.height}`,
+                    ...resolved
+                };
+            });
+        } else {
+            delete normalised.viewports;
+        }
+
+        return normalised;
+    }
+
+    /**
+     * Render a stored template into HTML so templated captures go through the
+     * same path, and cache key, as inline HTML
+     * @param {Object} options - Raw capture options
+     * @returns {Promise<Object>} - Options with html in place of template and data
+     */
+    async resolveContent(options) {
+        if (!options.template) {
+            return options;
+        }
+
+        const { data, ...rest } = options;
+        return { ...rest, html: await templateStore.render(options.template, data) };
+    }
+
+    /**
+     * Take a screenshot, serving it from the cache when possible and
+     * otherwise once the capture queue admits the request
+     * @param {Object} options - Capture options
+     * @param {Object} [hooks] - Optional callbacks for callers tracking progress
+     * @param {Function} [hooks.onStart] - Awaited when the queue admits the capture; throwing skips it
+     * @param {Function} [hooks.onStage] - Called with each finished capture stage
+     * @returns {Promise<Object>} - Capture result including time spent queued
+     */
+    async takeScreenshot(options, hooks = {}) {
+        let screenshotOptions;
         try {
-            return await chromium.executablePath();
+            screenshotOptions = this.normaliseOptions(await this.resolveContent(options));
         } catch (error) {
-            const possiblePaths = [
-                '/opt/homebrew/bin/chromium',
-                '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-                '/usr/bin/chromium-browser',
-                '/usr/bin/chromium',
-                '/usr/bin/google-chrome'
-            ];
-
-            const fs = require('fs');
-            for (const path of possiblePaths) {
-                if (fs.existsSync(path)) {
-                    return path;
-                }
+            logger.error('Screenshot failed:', error);
+            throw error;
+        }
+
+        const useCache = this.cache.isEnabledFor(screenshotOptions);
+        const cacheKey = useCache ? this.cache.buildKey(screenshotOptions) : null;
+
+        if (useCache) {
+            const cachedResult = this.cache.get(cacheKey);
+            if (cachedResult) {
+                return { ...cachedResult, cached: true, queueTime: 0 };
             }
-            throw new Error('No Chromium executable found');
         }
+
+        return this.queue.run(async ({ waitMs }) => {
+            if (hooks.onStart) {
+                await hooks.onStart({ waitMs });
+            }
+
+            const result = await this.capture(screenshotOptions, hooks);
+
+            if (useCache) {
+                this.cache.set(cacheKey, result, screenshotOptions.ttl);
+            }
+
+            return { ...result, queueTime: waitMs };
+        });
     }
 
-    async takeScreenshot(options) {
-        let browser = null;
-        let page = null;
-        
+    /**
+     * Wait for the nth element matching the selector, scroll it into view
+     * and work out its clip region in page coordinates
+     * @param {Object} page - Puppeteer page
+     * @param {Object} options - Normalised capture options
+     * @returns {Promise<Object>} - Clip region including padding
+     */
+    async locateElement(page, options) {
+        const { selector } = options;
+        const index = parseInt(options.selectorIndex) || 0;
+        const padding = parseInt(options.padding) || 0;
+        const timeout = Math.min(SELECTOR_TIMEOUT_MS, parseInt(options.selectorTimeout) || SELECTOR_TIMEOUT_MS);
+
         try {
-            // Validate URL
-            if (!validateUrl(options.url)) {
-                throw new Error('Invalid URL provided');
-            }
-
-            const formattedUrl = formatUrl(options.url);
-            const screenshotOptions = {
-                ...options,
-                url: formattedUrl,
-                width: parseInt(options.width) || 1366,
-                height: parseInt(options.height) || 768,
-                quality: Math.min(100, Math.max(0, parseInt(options.quality) || 80)),
-                format: (options.format || 'png').toLowerCase(),
-                type: (options.type || 'full').toLowerCase(),
-                isMobile: options.isMobile === 'true' || options.isMobile === true
+            await page.waitForFunction(
+                (sel, idx) => document.querySelectorAll(sel).length > idx,
+                { timeout },
+                selector,
+                index
+            );
+        } catch (error) {
+            if (error.name === 'TimeoutError') {
+                throw new ScreenshotError(
+                    `No element matching "${selector}"${index > 0 ? ` at index ${index}` : ''} appeared within ${timeout}ms`,
+                    422,
+                    'SELECTOR_NOT_FOUND'
+                );
+            }
+            if (/not a valid selector/i.test(error.message)) {
+                throw new ScreenshotError(`Invalid CSS selector "${selector}"`, 400, 'INVALID_SELECTOR');
+            }
+            throw error;
+        }
+
+        const box = await page.evaluate((sel, idx) => {
+            const element = document.querySelectorAll(sel)[idx];
+            element.scrollIntoView({ block: 'center', inline: 'center' });
+
+            document.body.style.overflow = 'hidden';
+            document.documentElement.style.overflow = 'hidden';
+
+            const rect = element.getBoundingClientRect();
+            return {
+                x: rect.left + window.scrollX,
+                y: rect.top + window.scrollY,
+                width: rect.width,
+                height: rect.height,
+                pageWidth: document.documentElement.scrollWidth,
+                pageHeight: document.documentElement.scrollHeight
             };
+        }, selector, index);
+
+        if (box.width === 0 || box.height === 0) {
+            throw new ScreenshotError(`Element matching "${selector}" is not visible`, 422, 'ELEMENT_NOT_VISIBLE');
+        }
+
+        const x = Math.max(0, box.x - padding);
+        const y = Math.max(0, box.y - padding);
+
+        return {
+            x,
+            y,
+            width: Math.min(box.pageWidth - x, box.x + box.width + padding - x),
+            height: Math.min(box.pageHeight - y, box.y + box.height + padding - y)
+        };
+    }
 
-            // LAUNCH BROWSER - EXACTLY LIKE YOUR ORIGINAL
-            const executablePath = await this.getExecutablePath();
-            
-            browser = await puppeteer.launch({
-                args: chromium.args.concat([
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-dev-shm-usage',
-                    '--disable-accelerated-2d-canvas',
-                    '--no-first-run',
-                    '--no-zygote',
-                    '--disable-gpu',
-                    '--disable-web-security',
-                    '--disable-features=IsolateOrigins,site-per-process'
-                ]),
-                defaultViewport: null,
-                executablePath,
-                headless: chromium.headless,
-                ignoreHTTPSErrors: true,
+    /**
+     * Refuse captures whose raw bitmap would exhaust worker memory
+     * @param {number} width - Capture width in CSS pixels
+     * @param {number} height - Capture height in CSS pixels
+     * @param {number} scale - Device scale factor
+     */
+    assertCaptureSize(width, height, scale) {
+        const pixels = Math.ceil(width * scale) * Math.ceil(height * scale);
+
+        if (pixels > MAX_CAPTURE_PIXELS) {
+            throw new ScreenshotError(
+                `Capture of ${width}x${height} at scale ${scale} would be ${pixels} pixels, ` +
+                `above the ${MAX_CAPTURE_PIXELS} pixel limit; lower the scale or capture a smaller region`,
+                422,
+                'CAPTURE_TOO_LARGE'
+            );
+        }
+    }
+
+    /**
+     * Check a clip region or scroll offset against the rendered page size
+     * @param {Object} page - Puppeteer page
+     * @param {Object} options - Normalised capture options
+     * @returns {Promise<Object>} - Clip region in page coordinates
+     */
+    async resolveRegion(page, options) {
+        const scrollTo = options.type === 'scroll' ? parseInt(options.scrollTo) : null;
+
+        const pageSize = await page.evaluate((offset) => {
+            if (offset !== null) {
+                window.scrollTo(0, offset);
+            }
+
+            document.body.style.overflow = 'hidden';
+            document.documentElement.style.overflow = 'hidden';
+
+            return {
+                width: document.documentElement.scrollWidth,
+                height: document.documentElement.scrollHeight
+            };
+        }, scrollTo);
+
+        const clip = options.type === 'scroll'
+            ? { x: 0, y: scrollTo, width: options.width, height: options.height }
+            : { ...options.clip };
+
+        if (clip.x + clip.width > pageSize.width || clip.y + clip.height > pageSize.height) {
+            throw new ScreenshotError(
+                `Requested region ${clip.width}x${clip.height} at (${clip.x}, ${clip.y}) ` +
+                `is outside the rendered page of ${pageSize.width}x${pageSize.height}`,
+                422,
+                'REGION_OUT_OF_BOUNDS'
+            );
+        }
+
+        return clip;
+    }
+
+    /**
+     * Crop, resize and encode the raw PNG capture into the requested output
+     * format. The rendering viewport is untouched; only the delivered image
+     * is sized here.
+     * @param {Buffer} screenshot - PNG from page.screenshot()
+     * @param {Object} options - Normalised capture options
+     * @returns {Promise<{data: Buffer, info: Object}>} - Encoded image and its sharp output info
+     */
+    async encodeImage(screenshot, options) {
+        const { format, quality } = options;
+        const lossless = options.lossless === true || options.lossless === 'true';
+        const effort = options.effort !== undefined ? parseInt(options.effort) : undefined;
+        const maxHeight = parseInt(options.maxHeight) || 0;
+        const thumbWidth = parseInt(options.thumbWidth) || null;
+        const thumbHeight = parseInt(options.thumbHeight) || null;
+
+        const image = sharp(screenshot);
+
+        // Cut very long full-page captures down before resizing
+        if (maxHeight > 0) {
+            const metadata = await sharp(screenshot).metadata();
+            if (metadata.height > maxHeight) {
+                image.extract({ left: 0, top: 0, width: metadata.width, height: maxHeight });
+            }
+        }
+
+        if (thumbWidth || thumbHeight) {
+            image.resize({
+                width: thumbWidth,
+                height: thumbHeight,
+                fit: options.fit || 'cover',
+                position: options.position || 'top',
+                background: { r: 255, g: 255, b: 255, alpha: 1 }
+            });
+        }
+
+        switch (format) {
+            case 'jpg':
+            case 'jpeg':
+                image.jpeg({ quality });
+                break;
+            case 'webp':
+                image.webp({
+                    quality,
+                    lossless,
+                    ...(effort !== undefined && { effort: Math.min(6, effort) })
+                });
+                break;
+            case 'avif':
+                image.avif({
+                    quality,
+                    lossless,
+                    ...(effort !== undefined && { effort: Math.min(9, effort) })
+                });
+                break;
+            default:
+                // sharp quantises PNGs to a palette whenever a quality is given
+                image.png(lossless ? {} : { quality });
+        }
+
+        return image.toBuffer({ resolveWithObject: true });
+    }
+
+    /**
+     * Size the leased page's viewport for a rendering
+     * @param {Object} page - Puppeteer page
+     * @param {Object} options - Normalised options of the rendering
+     */
+    async applyViewport(page, options) {
+        // Device presets render at the device's real viewport height
+        const useFullViewport = ['top', 'scroll'].includes(options.type) || options.device;
+        await page.setViewport({
+            width: options.width,
+            height: useFullViewport ? options.height : 800,
+            deviceScaleFactor: options.scale,
+            isMobile: options.isMobile,
+            hasTouch: options.hasTouch
+        });
+    }
+
+    /**
+     * Take the raw PNG capture of a loaded page
+     * @param {Object} page - Puppeteer page
+     * @param {Object} options - Normalised options of the rendering
+     * @param {Function} endStage - Records the end of a capture stage
+     * @returns {Promise<Buffer>} - PNG capture
+     */
+    async shoot(page, options, endStage) {
+        if (options.selector) {
+            // ELEMENT SCREENSHOT
+            const clip = await this.locateElement(page, options);
+            this.assertCaptureSize(clip.width, clip.height, options.scale);
+            endStage('scroll');
+
+            return page.screenshot({
+                type: 'png',
+                clip,
+                captureBeyondViewport: true
             });
+        }
 
-            page = await browser.newPage();
-            await page.setJavaScriptEnabled(true);
-            await page.setBypassCSP(true);
-            
-            await page.setViewport({
-                width: screenshotOptions.width,
-                height: screenshotOptions.type === 'top' ? screenshotOptions.height : 800,
-                deviceScaleFactor: 1,
-                isMobile: screenshotOptions.isMobile
+        if (options.type === 'clip' || options.type === 'scroll') {
+            // REGION SCREENSHOT
+            const clip = await this.resolveRegion(page, options);
+            this.assertCaptureSize(clip.width, clip.height, options.scale);
+            endStage('scroll');
+
+            return page.screenshot({
+                type: 'png',
+                clip,
+                captureBeyondViewport: true
             });
-            
-            // NAVIGATE - EXACTLY LIKE YOUR ORIGINAL
-            await page.goto(screenshotOptions.url, { 
-                waitUntil: 'networkidle2',
-                timeout: 60000
+        }
+
+        if (options.type === 'top') {
+            // TOP SCREENSHOT
+            this.assertCaptureSize(options.width, options.height, options.scale);
+            await page.evaluate(() => {
+                document.body.style.overflow = 'hidden';
+                document.documentElement.style.overflow = 'hidden';
             });
 
-            let screenshot;
-            if (screenshotOptions.type === 'top') {
-                // TOP SCREENSHOT
-                await page.evaluate(() => {
-                    document.body.style.overflow = 'hidden';
-                    document.documentElement.style.overflow = 'hidden';
-                });
+            return page.screenshot({ 
+                fullPage: false,
+                type: 'png',
+                clip: {
+                    x: 0,
+                    y: 0,
+                    width: options.width,
+                    height: options.height
+                }
+            });
+        }
+
+        // FULL PAGE - YOUR EXACT ORIGINAL WORKING CODE
+        await page.evaluate(async () => {
+            const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-                screenshot = await page.screenshot({ 
-                    fullPage: false,
-                    type: 'png',
-                    clip: {
-                        x: 0,
-                        y: 0,
-                        width: screenshotOptions.width,
-                        height: screenshotOptions.height
+            // Scroll down
+            await new Promise((resolve) => {
+                let totalHeight = 0;
+                const distance = 100;
+                const timer = setInterval(() => {
+                    window.scrollBy(0, distance);
+                    totalHeight += distance;
+                    if(totalHeight >= document.body.scrollHeight){
+                        clearInterval(timer);
+                        resolve();
                     }
-                });
-            } else {
-                // FULL PAGE - YOUR EXACT ORIGINAL WORKING CODE
-                await page.evaluate(async () => {
-                    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-                    // Scroll down
-                    await new Promise((resolve) => {
-                        let totalHeight = 0;
-                        const distance = 100;
-                        const timer = setInterval(() => {
-                            window.scrollBy(0, distance);
-                            totalHeight += distance;
-                            if(totalHeight >= document.body.scrollHeight){
-                                clearInterval(timer);
-                                resolve();
-                            }
-                        }, 100);
-                    });
-
-                    await sleep(1000); // Wait a bit at the bottom
-
-                    // Scroll up
-                    await new Promise((resolve) => {
-                        let totalHeight = document.body.scrollHeight;
-                        const distance = -100;
-                        const timer = setInterval(() => {
-                            window.scrollBy(0, distance);
-                            totalHeight += distance;
-                            if(totalHeight <= 0){
-                                clearInterval(timer);
-                                resolve();
-                            }
-                        }, 100);
-                    });
-
-                    await sleep(1000); // Wait a bit at the top
-                });
+                }, 100);
+            });
 
-                // Hide scrollbar
-                await page.evaluate(() => {
-                    document.body.style.overflow = 'hidden';
-                    document.documentElement.style.overflow = 'hidden';
-                });
+            await sleep(1000); // Wait a bit at the bottom
+
+            // Scroll up
+            await new Promise((resolve) => {
+                let totalHeight = document.body.scrollHeight;
+                const distance = -100;
+                const timer = setInterval(() => {
+                    window.scrollBy(0, distance);
+                    totalHeight += distance;
+                    if(totalHeight <= 0){
+                        clearInterval(timer);
+                        resolve();
+                    }
+                }, 100);
+            });
+
+            await sleep(1000); // Wait a bit at the top
+        });
+        endStage('scroll');
+
+        // Hide scrollbar
+        const pageSize = await page.evaluate(() => {
+            document.body.style.overflow = 'hidden';
+            document.documentElement.style.overflow = 'hidden';
+
+            return {
+                width: document.documentElement.scrollWidth,
+                height: document.documentElement.scrollHeight
+            };
+        });
+        this.assertCaptureSize(pageSize.width, pageSize.height, options.scale);
+
+        return page.screenshot({ 
+            fullPage: true,
+            type: 'png'
+        });
+    }
+
+    /**
+     * Load and capture the page once per rendering. Renderings that share a
+     * user agent and touch/mobile emulation reuse one page load and are only
+     * resized between captures; changing those needs a fresh load.
+     * @param {Object[]} renderings - Normalised options, one per capture
+     * @param {Function} endStage - Records the end of a capture stage
+     * @returns {Promise<Object>} - PNG captures in rendering order, requests blocked and script errors
+     */
+    async renderPages(renderings, endStage) {
+        const groups = new Map();
+        renderings.forEach((options, index) => {
+            const key = [options.userAgent, options.isMobile, options.hasTouch].join('|');
+            groups.set(key, [...(groups.get(key) || []), { options, index }]);
+        });
+
+        const shots = new Array(renderings.length);
+        const scriptErrors = [];
+        let blockedRequests = 0;
+
+        for (const group of groups.values()) {
+            let lease = null;
+
+            try {
+                // LEASE A PAGE FROM THE BROWSER POOL
+                lease = await this.pool.acquire();
+                const { page } = lease;
+
+                await page.setJavaScriptEnabled(true);
+                await page.setBypassCSP(true);
+
+                let network = null;
+                for (const { options, index } of group) {
+                    await this.applyViewport(page, options);
+                    endStage('launch');
+
+                    if (!network) {
+                        const loaded = await this.navigate(page, options);
+                        network = loaded.network;
+                        scriptErrors.push(...loaded.scriptErrors);
+                    } else {
+                        // Let a resized layout fetch its responsive images
+                        await page.waitForNetworkIdle({ idleTime: VIEWPORT_IDLE_MS, timeout: PAGE_TIMEOUT_MS })
+                            .catch(() => {});
+                    }
+                    endStage('navigate');
+
+                    shots[index] = await this.shoot(page, options, endStage);
+                    endStage('capture');
+                }
+
+                blockedRequests += network.blocked;
+            } finally {
+                if (lease) {
+                    try {
+                        await lease.release();
+                    } catch (error) {
+                        logger.error('Error releasing page:', error);
+                    }
+                }
+            }
+        }
+
+        return { shots, blockedRequests, scriptErrors };
+    }
+
+    /**
+     * Place viewport captures side by side on one canvas, each under a label
+     * @param {Buffer[]} shots - PNG captures in viewport order
+     * @param {Object[]} viewports - Normalised viewports
+     * @param {Object} options - Normalised capture options
+     * @returns {Promise<Object>} - PNG montage and where each viewport sits on it
+     */
+    async composeMontage(shots, viewports, options) {
+        const spacing = options.montageSpacing !== undefined ? parseInt(options.montageSpacing) || 0 : MONTAGE_SPACING;
+        const background = options.montageBackground || MONTAGE_BACKGROUND;
+        const labelHeight = options.montageLabels === false || options.montageLabels === 'false' ? 0 : MONTAGE_LABEL_HEIGHT;
+        const maxHeight = parseInt(options.maxHeight) || 0;
 
-                screenshot = await page.screenshot({ 
-                    fullPage: true,
-                    type: 'png'
+        // maxHeight applies to each capture rather than to the montage
+        const tiles = await Promise.all(shots.map(async (shot) => {
+            const { width, height } = await sharp(shot).metadata();
+            if (maxHeight > 0 && height > maxHeight) {
+                const input = await sharp(shot).extract({ left: 0, top: 0, width, height: maxHeight }).png().toBuffer();
+                return { input, width, height: maxHeight };
+            }
+            return { input: shot, width, height };
+        }));
+
+        const width = tiles.reduce((sum, tile) => sum + tile.width, 0) + spacing * (tiles.length + 1);
+        const height = Math.max(...tiles.map(tile => tile.height)) + labelHeight + spacing * 2;
+        this.assertCaptureSize(width, height, 1);
+
+        const layers = [];
+        const layout = [];
+        let left = spacing;
+
+        tiles.forEach((tile, index) => {
+            const viewport = viewports[index];
+            const top = spacing + labelHeight;
+
+            if (labelHeight > 0) {
+                layers.push({
+                    input: renderLabel(`${viewport.label} (${viewport.width}x${viewport.height})`, tile.width, labelHeight, background),
+                    left,
+                    top: spacing
                 });
             }
+            layers.push({ input: tile.input, left, top });
+            layout.push({ ...describeViewport(viewport), region: { x: left, y: top, width: tile.width, height: tile.height } });
+
+            left += tile.width + spacing;
+        });
+
+        const montage = await sharp({ create: { width, height, channels: 4, background } })
+            .composite(layers)
+            .png()
+            .toBuffer();
+
+        return { montage, layout };
+    }
+
+    /**
+     * Render and encode a single capture, or one capture per viewport
+     * @param {Object} screenshotOptions - Normalised capture options
+     * @param {Object} [hooks] - Optional callbacks
+     * @param {Function} [hooks.onStage] - Called with each finished stage; throwing aborts the capture
+     * @returns {Promise<Object>} - Encoded image, or images with viewports and montage=false, and metadata
+     */
+    async capture(screenshotOptions, hooks = {}) {
+        const timings = {};
+        const captureStartedAt = Date.now();
+        let stageStartedAt = captureStartedAt;
+        const endStage = (stage) => {
+            const now = Date.now();
+            timings[stage] = (timings[stage] || 0) + now - stageStartedAt;
+            stageStartedAt = now;
+
+            if (hooks.onStage) {
+                hooks.onStage(stage);
+            }
+        };
+        
+        try {
+            const { viewports } = screenshotOptions;
+            const renderings = viewports
+                ? viewports.map(viewport => ({ ...screenshotOptions, ...viewport }))
+                : [screenshotOptions];
+
+            const { shots, blockedRequests, scriptErrors } = await this.renderPages(renderings, endStage);
 
-            // OPTIMIZE IMAGE - YOUR EXACT ORIGINAL CODE
-            let optimizedImage;
-            if (screenshotOptions.format === 'jpeg' || screenshotOptions.format === 'jpg') {
-                optimizedImage = await sharp(screenshot)
-                    .jpeg({ quality: screenshotOptions.quality })
-                    .toBuffer();
+            // OPTIMIZE IMAGE
+            let result;
+            if (!viewports) {
+                const { data, info } = await this.encodeImage(shots[0], screenshotOptions);
+                result = this.describeImage(data, info, screenshotOptions);
+            } else if (screenshotOptions.montage === false || screenshotOptions.montage === 'false') {
+                const images = await Promise.all(shots.map(async (shot, index) => {
+                    const { data, info } = await this.encodeImage(shot, renderings[index]);
+                    return { ...describeViewport(viewports[index]), ...this.describeImage(data, info, screenshotOptions) };
+                }));
+                result = {
+                    images,
+                    contentType: images[0].contentType,
+                    size: images.reduce((sum, image) => sum + image.size, 0)
+                };
             } else {
-                optimizedImage = await sharp(screenshot)
-                    .png({ quality: screenshotOptions.quality })
-                    .toBuffer();
+                const { montage, layout } = await this.composeMontage(shots, viewports, screenshotOptions);
+                const { data, info } = await this.encodeImage(montage, { ...screenshotOptions, maxHeight: 0 });
+                result = { ...this.describeImage(data, info, screenshotOptions), viewports: layout };
             }
+            endStage('encode');
+            timings.total = Date.now() - captureStartedAt;
+
+            this.stats.recordSuccess({
+                format: screenshotOptions.format,
+                type: screenshotOptions.type,
+                bytes: result.size,
+                timings
+            });
+            metrics.recordCapture({
+                status: 'success',
+                format: screenshotOptions.format,
+                type: screenshotOptions.type,
+                bytes: result.size,
+                timings
+            });
 
             return {
-                image: optimizedImage.toString('base64'),
-                contentType: screenshotOptions.format === 'png' ? 'image/png' : 'image/jpeg',
-                size: optimizedImage.length,
+                ...result,
+                blockedRequests,
+                scriptErrors,
                 cached: false
             };
 
         } catch (error) {
+            timings.total = Date.now() - captureStartedAt;
+            this.stats.recordFailure(error, timings);
+            metrics.recordCapture({
+                status: 'failure',
+                format: screenshotOptions.format,
+                type: screenshotOptions.type,
+                timings
+            });
             logger.error('Screenshot failed:', error);
             throw error;
-        } finally {
-            if (page) {
-                try {
-                    await page.close();
-                } catch (error) {
-                    logger.error('Error closing page:', error);
-                }
-            }
-            if (browser) {
-                try {
-                    await browser.close();
-                } catch (error) {
-                    logger.error('Error closing browser:', error);
-                }
-            }
         }
     }
+
+    /**
+     * Shape an encoded image for the capture result
+     * @param {Buffer} data - Encoded image
+     * @param {Object} info - sharp output info
+     * @param {Object} options - Normalised capture options
+     * @returns {Object} - Base64 image, content type, size and dimensions
+     */
+    describeImage(data, info, options) {
+        return {
+            image: data.toString('base64'),
+            contentType: CONTENT_TYPES[options.format] || 'image/png',
+            size: data.length,
+            dimensions: {
+                width: info.width,
+                height: info.height
+            }
+        };
+    }
 }
 
 module.exports = new SimpleScreenshotService();
\ No newline at end of file
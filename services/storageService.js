@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const S3Client = require('../utils/s3Client');
+const logger = require('../utils/logger');
+const { sanitiseFilename, retryWithBackoff } = require('../utils/helpers');
+const { ScreenshotError } = require('../middleware/errorHandler');
+
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'local').toLowerCase();
+const STORAGE_KEY_TEMPLATE = process.env.STORAGE_KEY_TEMPLATE || '{date}/{host}/{hash}.{ext}';
+const STORAGE_DIR = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', 'data', 'storage'));
+const STORAGE_PUBLIC_PATH = (process.env.STORAGE_PUBLIC_PATH || '/files').replace(/\/$/, '');
+const STORAGE_TIMEOUT_MS = parseInt(process.env.STORAGE_TIMEOUT_MS) || 30000;
+const S3_URL_EXPIRES_SECONDS = Math.min(parseInt(process.env.S3_URL_EXPIRES_SECONDS) || 3600, 604800);
+
+const KEY_VARIABLES = ['date', 'time', 'year', 'month', 'day', 'timestamp', 'host', 'hash', 'id', 'ext', 'viewport', 'schedule'];
+
+const FILE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/avif': 'avif'
+};
+
+/**
+ * Files under STORAGE_DIR, served by the app at STORAGE_PUBLIC_PATH
+ */
+class LocalBackend {
+    constructor() {
+        this.name = 'local';
+        this.dir = STORAGE_DIR;
+        this.publicPath = STORAGE_PUBLIC_PATH;
+    }
+
+    async put(key, body) {
+        const filePath = path.join(this.dir, key);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+
+        // Renaming keeps the static route from serving a partial file
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, body);
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    link(key, baseUrl = '') {
+        return { url: `${baseUrl}${this.publicPath}/${key}` };
+    }
+}
+
+/**
+ * Objects in an S3-compatible bucket. Links use S3_PUBLIC_URL when the
+ * bucket is public, and presigned URLs otherwise.
+ */
+class S3Backend {
+    constructor() {
+        this.name = 's3';
+        this.publicUrl = (process.env.S3_PUBLIC_URL || '').replace(/\/$/, '');
+
+        const region = process.env.S3_REGION || 'us-east-1';
+        const config = {
+            endpoint: process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`,
+            region,
+            bucket: process.env.S3_BUCKET,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+        };
+
+        const missing = ['bucket', 'accessKeyId', 'secretAccessKey'].filter(name => !config[name]);
+        if (missing.length > 0) {
+            throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+        }
+
+        this.client = new S3Client(config);
+    }
+
+    async put(key, body, contentType) {
+        await retryWithBackoff(
+            () => this.client.putObject(key, body, { contentType, timeoutMs: STORAGE_TIMEOUT_MS }),
+            2,
+            500
+        );
+    }
+
+    link(key) {
+        if (this.publicUrl) {
+            return { url: `${this.publicUrl}/${key}` };
+        }
+
+        return {
+            url: this.client.presignGetUrl(key, S3_URL_EXPIRES_SECONDS),
+            expiresAt: new Date(Date.now() + S3_URL_EXPIRES_SECONDS * 1000).toISOString()
+        };
+    }
+}
+
+const BACKENDS = {
+    local: LocalBackend,
+    s3: S3Backend
+};
+
+/**
+ * Persists captures to the configured backend and returns links to them
+ * instead of the image bytes. Object keys come from templates such as
+ * `{date}/{host}/{hash}.{ext}`; every path segment of the result is passed
+ * through sanitiseFilename, so keys cannot escape the storage root.
+ */
+class StorageService {
+    constructor() {
+        this.keyTemplate = STORAGE_KEY_TEMPLATE;
+        this.keyVariables = KEY_VARIABLES;
+        this.backend = null;
+        this.configError = null;
+
+        try {
+            const Backend = BACKENDS[STORAGE_BACKEND];
+            if (!Backend) {
+                throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}", use one of: ${Object.keys(BACKENDS).join(', ')}`);
+            }
+            this.backend = new Backend();
+        } catch (error) {
+            this.configError = error.message;
+            logger.error('Storage backend is not configured', { backend: STORAGE_BACKEND, error: error.message });
+        }
+    }
+
+    /**
+     * Directory and URL path of the static route, when the backend needs one
+     * @returns {Object|null} - `{ dir, publicPath }` for local storage
+     */
+    get staticRoute() {
+        if (!this.backend || this.backend.name !== 'local') {
+            return null;
+        }
+        return { dir: this.backend.dir, publicPath: this.backend.publicPath };
+    }
+
+    /**
+     * Fail when the configured backend could not be set up
+     * @throws {ScreenshotError} - 503 STORAGE_NOT_CONFIGURED
+     */
+    assertAvailable() {
+        if (!this.backend) {
+            throw new ScreenshotError(`Storage is not available: ${this.configError}`, 503, 'STORAGE_NOT_CONFIGURED');
+        }
+    }
+
+    /**
+     * Build an object key from a template
+     * @param {string} template - Key template with `{variable}` placeholders
+     * @param {Object} values - Placeholder values; missing ones render empty
+     * @returns {string} - Key made of sanitised path segments
+     */
+    renderKey(template, values) {
+        const rendered = template.replace(/\{(\w+)\}/g, (match, name) => (values[name] === undefined ? '' : String(values[name])));
+
+        return rendered
+            .split('/')
+            .map(segment => sanitiseFilename(segment))
+            .filter(segment => segment && !/^\.+$/.test(segment))
+            .join('/');
+    }
+
+    /**
+     * Make sure a key template gives each image of one capture its own key.
+     * A template without `{hash}`, `{id}` or the given placeholder would give
+     * them all the same one, so the placeholder is added before the extension.
+     * @param {string} [template] - Key template, STORAGE_KEY_TEMPLATE by default
+     * @param {string} name - Placeholder that differs between the images
+     * @returns {string} - Key template
+     */
+    distinctKeyTemplate(template, name) {
+        const source = template || this.keyTemplate;
+        if (['hash', 'id', name].some(variable => source.includes(`{${variable}}`))) {
+            return source;
+        }
+        return source.replace(/(\.\{ext\})?$/, `-{${name}}$1`);
+    }
+
+    /**
+     * Store an image and describe where it went
+     * @param {Buffer} image - Encoded image
+     * @param {Object} details - Image and key details
+     * @param {string} details.contentType - Image MIME type
+     * @param {string} [details.url] - Captured page, for `{host}`
+     * @param {string} [details.keyTemplate] - Key template, STORAGE_KEY_TEMPLATE by default
+     * @param {Object} [details.variables] - Extra placeholder values, e.g. `viewport` or `schedule`
+     * @param {string} [details.baseUrl] - Public base URL for links to local files
+     * @returns {Promise<Object>} - Backend, key, url, size, content type and, for presigned links, expiresAt
+     */
+    async store(image, { contentType, url, keyTemplate, variables = {}, baseUrl }) {
+        this.assertAvailable();
+
+        const now = new Date();
+        const iso = now.toISOString();
+        const extension = FILE_EXTENSIONS[contentType] || 'bin';
+        const hash = crypto.createHash('sha256').update(image).digest('hex');
+
+        let host = 'html';
+        if (url) {
+            try {
+                host = new URL(url).hostname;
+            } catch (error) {
+                host = 'page';
+            }
+        }
+
+        const values = {
+            date: iso.slice(0, 10),
+            time: iso.slice(11, 19).replace(/:/g, '-'),
+            year: iso.slice(0, 4),
+            month: iso.slice(5, 7),
+            day: iso.slice(8, 10),
+            timestamp: now.getTime(),
+            host,
+            hash: hash.slice(0, 16),
+            id: crypto.randomUUID(),
+            ext: extension,
+            ...variables
+        };
+
+        const key = this.renderKey(keyTemplate || this.keyTemplate, values) || `${values.hash}.${extension}`;
+
+        try {
+            await this.backend.put(key, image, contentType);
+        } catch (error) {
+            logger.error('Failed to store capture', { backend: this.backend.name, key, error: error.message });
+            throw new ScreenshotError(`Capture could not be stored: ${error.message}`, 502, 'STORAGE_FAILED');
+        }
+
+        logger.info('Capture stored', { backend: this.backend.name, key, size: image.length });
+
+        return {
+            backend: this.backend.name,
+            key,
+            ...this.backend.link(key, baseUrl),
+            contentType,
+            size: image.length,
+            sha256: hash
+        };
+    }
+}
+
+module.exports = new StorageService();
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { compileTemplate, TemplateDataError } = require('../utils/templateEngine');
+const { ScreenshotError } = require('../middleware/errorHandler');
+
+const TEMPLATES_DIR = path.resolve(process.env.TEMPLATES_DIR || path.join(__dirname, '..', 'templates'));
+const TEMPLATE_EXTENSIONS = ['.hbs', '.html'];
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,99}$/i;
+
+/**
+ * Loads Handlebars-style capture templates from TEMPLATES_DIR. Compiled
+ * templates are kept until the file changes on disk.
+ */
+class TemplateStore {
+    constructor() {
+        this.dir = TEMPLATES_DIR;
+        this.compiled = new Map();
+    }
+
+    /**
+     * Find the file for a template name
+     * @param {string} name - Template name, without extension
+     * @returns {string|null} - Absolute path, or null when there is none
+     */
+    resolvePath(name) {
+        if (!TEMPLATE_NAME_PATTERN.test(name)) {
+            return null;
+        }
+
+        for (const extension of TEMPLATE_EXTENSIONS) {
+            const filePath = path.join(this.dir, `${name}${extension}`);
+            if (fs.existsSync(filePath)) {
+                return filePath;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Render a stored template with request data
+     * @param {string} name - Template name
+     * @param {Object} data - Values for the template
+     * @returns {Promise<string>} - Rendered HTML
+     */
+    async render(name, data = {}) {
+        const filePath = this.resolvePath(name);
+        if (!filePath) {
+            throw new ScreenshotError(`Template "${name}" was not found`, 404, 'TEMPLATE_NOT_FOUND');
+        }
+
+        const { mtimeMs } = await fs.promises.stat(filePath);
+        let entry = this.compiled.get(filePath);
+
+        if (!entry || entry.mtimeMs !== mtimeMs) {
+            const source = await fs.promises.readFile(filePath, 'utf8');
+
+            try {
+                entry = { mtimeMs, render: compileTemplate(source) };
+            } catch (error) {
+                logger.error('Template failed to compile', { name, error: error.message });
+                throw new ScreenshotError(`Template "${name}" is invalid: ${error.message}`, 500, 'TEMPLATE_INVALID');
+            }
+
+            this.compiled.set(filePath, entry);
+        }
+
+        try {
+            return entry.render(data);
+        } catch (error) {
+            if (error instanceof TemplateDataError) {
+                throw new ScreenshotError(`Template "${name}" data is invalid: ${error.message}`, 400, 'INVALID_TEMPLATE_DATA');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * List the names of the stored templates
+     * @returns {Promise<string[]>} - Template names
+     */
+    async list() {
+        try {
+            const files = await fs.promises.readdir(this.dir);
+            return files
+                .filter(file => TEMPLATE_EXTENSIONS.includes(path.extname(file)))
+                .map(file => path.basename(file, path.extname(file)))
+                .filter(name => TEMPLATE_NAME_PATTERN.test(name))
+                .sort();
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+}
+
+module.exports = new TemplateStore();
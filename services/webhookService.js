@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jobStore = require('./jobStore');
+const logger = require('../utils/logger');
+const { validateUrl, retryWithBackoff } = require('../utils/helpers');
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const WEBHOOK_MAX_RETRIES = parseInt(process.env.WEBHOOK_MAX_RETRIES) || 3;
+const WEBHOOK_RETRY_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000;
+
+/**
+ * Delivers signed webhooks for job callbacks and scheduled captures. The
+ * body is signed with HMAC-SHA256 over `${timestamp}.${body}` using
+ * WEBHOOK_SECRET, sent as `X-Webhook-Signature: sha256=<hex>` with the
+ * timestamp in `X-Webhook-Timestamp`, so receivers can reject forged or
+ * replayed calls.
+ */
+class WebhookService {
+    constructor() {
+        this.enabled = Boolean(WEBHOOK_SECRET);
+    }
+
+    /**
+     * Sign a payload for a timestamp
+     * @param {string} body - Raw JSON body
+     * @param {number} timestamp - Unix time in seconds
+     * @returns {string} - Signature header value
+     */
+    sign(body, timestamp) {
+        const digest = crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+        return `sha256=${digest}`;
+    }
+
+    /**
+     * Build the callback body for a finished job
+     * @param {Object} job - Public job view
+     * @param {Object} callback - Callback settings stored with the job
+     * @param {Buffer} [image] - Captured image, sent when includeImage is set
+     * @returns {Object} - Callback payload
+     */
+    buildPayload(job, callback, image) {
+        const payload = {
+            event: `job.${job.status}`,
+            job
+        };
+
+        if (job.status === 'completed') {
+            payload.resultUrl = `${callback.baseUrl}/api/jobs/${job.id}/result`;
+
+            if (callback.includeImage && image) {
+                payload.image = image.toString('base64');
+            }
+        }
+
+        return payload;
+    }
+
+    /**
+     * POST a signed JSON event to a URL, retrying failed attempts
+     * @param {string} url - Receiver URL
+     * @param {Object} message - What to send
+     * @param {string} message.event - Event name, sent as X-Webhook-Event
+     * @param {string} message.id - Delivery ID, sent as X-Webhook-Id
+     * @param {Object} message.payload - JSON body
+     * @param {Function} [onAttempt] - Called with the log entry of every attempt
+     * @returns {Promise<Object>} - `{ delivered, attempts, error }`
+     */
+    async send(url, { event, id, payload }, onAttempt = () => {}) {
+        // Same checks as capture URLs; they were also applied when the URL was accepted
+        if (!validateUrl(url)) {
+            await onAttempt({
+                attempt: 1,
+                at: new Date().toISOString(),
+                error: 'Callback URL is not allowed',
+                durationMs: 0
+            });
+            logger.warn('Webhook URL rejected', { id, url });
+            return { delivered: false, attempts: 1, error: 'Callback URL is not allowed' };
+        }
+
+        const body = JSON.stringify(payload);
+        let attempt = 0;
+
+        const post = async () => {
+            attempt++;
+            const startedAt = Date.now();
+            const timestamp = Math.floor(startedAt / 1000);
+            const delivery = { attempt, at: new Date(startedAt).toISOString() };
+
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'screenshot-service-webhook/1.0',
+                        'X-Webhook-Event': event,
+                        'X-Webhook-Id': id,
+                        'X-Webhook-Timestamp': String(timestamp),
+                        'X-Webhook-Signature': this.sign(body, timestamp)
+                    },
+                    body,
+                    // Redirects could lead to hosts the URL checks never saw
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+                });
+
+                delivery.statusCode = response.status;
+                if (response.status < 200 || response.status >= 300) {
+                    throw new Error(`Callback responded with HTTP ${response.status}`);
+                }
+            } catch (error) {
+                delivery.error = error.name === 'TimeoutError'
+                    ? `Callback timed out after ${WEBHOOK_TIMEOUT_MS}ms`
+                    : error.message;
+                throw error;
+            } finally {
+                delivery.durationMs = Date.now() - startedAt;
+                await onAttempt(delivery);
+            }
+        };
+
+        try {
+            await retryWithBackoff(post, WEBHOOK_MAX_RETRIES, WEBHOOK_RETRY_DELAY_MS);
+            logger.info('Webhook delivered', { id, event, url, attempts: attempt });
+            return { delivered: true, attempts: attempt };
+        } catch (error) {
+            logger.error('Webhook delivery failed', { id, event, url, attempts: attempt, error: error.message });
+            return { delivered: false, attempts: attempt, error: error.message };
+        }
+    }
+
+    /**
+     * POST a job's outcome to its callback URL. Every attempt is appended to
+     * the job's delivery log.
+     * @param {Object} job - Public job view
+     * @param {Object} callback - Callback settings stored with the job
+     * @param {Buffer} [image] - Captured image
+     * @returns {Promise<boolean>} - Whether the callback was accepted
+     */
+    async deliver(job, callback, image) {
+        const { delivered } = await this.send(callback.url, {
+            event: `job.${job.status}`,
+            id: job.id,
+            payload: this.buildPayload(job, callback, image)
+        }, delivery => jobStore.recordDelivery(job.id, delivery).catch((error) => {
+            logger.warn('Failed to record webhook delivery', { id: job.id, error: error.message });
+        }));
+
+        await jobStore.recordDelivery(job.id, null, delivered ? 'delivered' : 'failed').catch(() => {});
+        return delivered;
+    }
+}
+
+module.exports = new WebhookService();
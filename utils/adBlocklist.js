@@ -0,0 +1,105 @@
+/**
+ * Bundled, offline list of advertising and tracking domains used by the
+ * blockAds option. Subdomains are blocked along with the listed domain.
+ * Keep entries lowercase and sorted.
+ */
+const AD_DOMAINS = [
+    '2mdn.net',
+    'adcolony.com',
+    'addthis.com',
+    'adform.net',
+    'adnxs.com',
+    'adroll.com',
+    'ads-twitter.com',
+    'adsafeprotected.com',
+    'adsrvr.org',
+    'adservice.google.com',
+    'advertising.com',
+    'amazon-adsystem.com',
+    'amplitude.com',
+    'analytics.tiktok.com',
+    'appnexus.com',
+    'bat.bing.com',
+    'bidswitch.net',
+    'bluekai.com',
+    'branch.io',
+    'casalemedia.com',
+    'chartbeat.com',
+    'chartbeat.net',
+    'clarity.ms',
+    'connect.facebook.net',
+    'contextweb.com',
+    'criteo.com',
+    'criteo.net',
+    'crwdcntrl.net',
+    'demdex.net',
+    'doubleclick.net',
+    'doubleverify.com',
+    'everesttech.net',
+    'exelator.com',
+    'eyeota.net',
+    'fullstory.com',
+    'google-analytics.com',
+    'googleadservices.com',
+    'googlesyndication.com',
+    'googletagmanager.com',
+    'googletagservices.com',
+    'hotjar.com',
+    'hotjar.io',
+    'hs-analytics.net',
+    'id5-sync.com',
+    'indexww.com',
+    'krxd.net',
+    'lijit.com',
+    'mathtag.com',
+    'media.net',
+    'mixpanel.com',
+    'moatads.com',
+    'mouseflow.com',
+    'openx.net',
+    'outbrain.com',
+    'pubmatic.com',
+    'quantcount.com',
+    'quantserve.com',
+    'rlcdn.com',
+    'rubiconproject.com',
+    'scorecardresearch.com',
+    'segment.com',
+    'segment.io',
+    'sharethrough.com',
+    'smartadserver.com',
+    'snap.licdn.com',
+    'spotxchange.com',
+    'taboola.com',
+    'tapad.com',
+    'teads.tv',
+    'tiqcdn.com',
+    'tremorhub.com',
+    'turn.com',
+    'yieldmo.com',
+    'zedo.com'
+];
+
+const AD_DOMAIN_SET = new Set(AD_DOMAINS);
+
+/**
+ * Check a hostname and each of its parent domains against the blocklist
+ * @param {string} hostname - Hostname of a request URL
+ * @returns {boolean} - Whether the host serves ads or trackers
+ */
+const isAdHost = (hostname) => {
+    const parts = hostname.toLowerCase().split('.');
+
+    for (let i = 0; i < parts.length - 1; i++) {
+        if (AD_DOMAIN_SET.has(parts.slice(i).join('.'))) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+module.exports = {
+    AD_DOMAINS,
+    isAdHost
+};
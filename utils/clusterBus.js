@@ -0,0 +1,401 @@
+const cluster = require('cluster');
+
+const MESSAGE_PREFIX = 'clusterBus:';
+const DEFAULT_TIMEOUT_MS = 2000;
+
+// Set by setupMaster() before it forks, so its workers inherit it. Workers
+// forked by anything else, such as PM2 in cluster mode, have no master
+// routing bus messages.
+const MASTER_PID_ENV = 'CLUSTER_BUS_MASTER_PID';
+
+const collectors = new Map();
+const masterHandlers = new Map();
+const workerHandlers = new Map();
+const subscribers = new Map();
+const pendingRequests = new Map();
+let nextRequestId = 1;
+let nextWorkerIndex = 0;
+let workerListenerAttached = false;
+
+/**
+ * Attach the worker-side IPC listener once
+ */
+const attachWorkerListener = () => {
+    if (workerListenerAttached || !cluster.isWorker) return;
+    workerListenerAttached = true;
+
+    process.on('message', async (message) => {
+        if (!message || typeof message.type !== 'string' || !message.type.startsWith(MESSAGE_PREFIX)) {
+            return;
+        }
+
+        if (message.type === `${MESSAGE_PREFIX}collect:request`) {
+            const collector = collectors.get(message.channel);
+            let result = null;
+            let error = null;
+
+            try {
+                result = collector ? await collector() : null;
+            } catch (collectError) {
+                error = collectError.message;
+            }
+
+            process.send({
+                type: `${MESSAGE_PREFIX}collect:reply`,
+                id: message.id,
+                pid: process.pid,
+                result,
+                error
+            });
+        } else if (message.type === `${MESSAGE_PREFIX}collect:result`) {
+            const pending = pendingRequests.get(message.id);
+            if (pending) {
+                clearTimeout(pending.timer);
+                pendingRequests.delete(message.id);
+                pending.resolve(message.results);
+            }
+        } else if (message.type === `${MESSAGE_PREFIX}master:reply`) {
+            settleRequest(message.id, message);
+        } else if (message.type === `${MESSAGE_PREFIX}worker:request`) {
+            const { result, error } = await runHandler(workerHandlers, message.channel, message.payload, { pid: process.pid });
+            process.send({ type: `${MESSAGE_PREFIX}worker:reply`, id: message.id, result, error });
+        } else if (message.type === `${MESSAGE_PREFIX}event`) {
+            deliverEvent(message.channel, message.payload);
+        }
+    });
+};
+
+/**
+ * Settle a pending request with a `{ result, error }` reply
+ * @param {string} id - Request ID
+ * @param {Object} reply - Reply message
+ */
+const settleRequest = (id, { result, error }) => {
+    const pending = pendingRequests.get(id);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    pendingRequests.delete(id);
+    if (error) {
+        pending.reject(Object.assign(new Error(error.message), error));
+    } else {
+        pending.resolve(result);
+    }
+};
+
+/**
+ * Call the local subscribers of a channel
+ * @param {string} channel - Channel name
+ * @param {*} payload - Event payload
+ */
+const deliverEvent = (channel, payload) => {
+    (subscribers.get(channel) || []).forEach((listener) => {
+        try {
+            listener(payload);
+        } catch (error) {
+            // One failing listener must not stop the others
+        }
+    });
+};
+
+/**
+ * Run a master or worker handler and describe any failure in a
+ * serialisable way
+ * @param {Map} handlers - masterHandlers or workerHandlers
+ * @param {string} channel - Channel name
+ * @param {*} payload - Request payload
+ * @param {Object} meta - Requester details
+ * @returns {Promise<Object>} - `{ result }` or `{ error }`
+ */
+const runHandler = async (handlers, channel, payload, meta) => {
+    const handler = handlers.get(channel);
+    if (!handler) {
+        return { error: { message: `No ${handlers === masterHandlers ? 'master' : 'worker'} handler for "${channel}"` } };
+    }
+
+    try {
+        return { result: await handler(payload, meta) };
+    } catch (error) {
+        return {
+            error: { message: error.message, statusCode: error.statusCode, type: error.type, retryAfter: error.retryAfter }
+        };
+    }
+};
+
+/**
+ * Whether this process is a worker whose master runs setupMaster()
+ * @returns {boolean}
+ */
+const hasMaster = () => cluster.isWorker && process.env[MASTER_PID_ENV] === String(process.ppid);
+
+/**
+ * Register a function that answers collect requests for a channel
+ * @param {string} channel - Channel name
+ * @param {Function} collector - Sync or async function returning serialisable data
+ */
+const registerCollector = (channel, collector) => {
+    collectors.set(channel, collector);
+    attachWorkerListener();
+};
+
+/**
+ * Gather the collector results for a channel from every cluster worker.
+ * Outside cluster mode, or in a worker with no master to ask, only the
+ * local collector is consulted.
+ * @param {string} channel - Channel name
+ * @param {number} timeoutMs - How long to wait for slow workers
+ * @returns {Promise<Array>} - One `{ pid, result }` entry per responding worker
+ */
+const collectFromWorkers = async (channel, timeoutMs = DEFAULT_TIMEOUT_MS) => {
+    if (!hasMaster()) {
+        const collector = collectors.get(channel);
+        return collector ? [{ pid: process.pid, result: await collector() }] : [];
+    }
+
+    attachWorkerListener();
+
+    return new Promise((resolve, reject) => {
+        const id = `${process.pid}:${nextRequestId++}`;
+
+        // The master answers with partial results after timeoutMs; this is
+        // a safety net in case the master itself never replies
+        const timer = setTimeout(() => {
+            pendingRequests.delete(id);
+            reject(new Error(`Timed out collecting "${channel}" from cluster workers`));
+        }, timeoutMs + 1000);
+
+        pendingRequests.set(id, { resolve, reject, timer });
+        process.send({ type: `${MESSAGE_PREFIX}collect`, id, channel, timeoutMs });
+    });
+};
+
+/**
+ * Register the function that owns a piece of cluster-wide state. It runs in
+ * the master, or in this process when not clustered. Register it in every
+ * process; workers only use it when running outside a cluster.
+ * @param {string} channel - Channel name
+ * @param {Function} handler - `(payload, { pid }) => result`, sync or async
+ */
+const handleOnMaster = (channel, handler) => {
+    masterHandlers.set(channel, handler);
+};
+
+/**
+ * Send a request to the master handler of a channel and wait for its answer
+ * @param {string} channel - Channel name
+ * @param {*} payload - Serialisable request
+ * @param {number} timeoutMs - How long to wait for the master
+ * @returns {Promise<*>} - Handler result; handler errors are rethrown with their statusCode and type
+ */
+const requestMaster = async (channel, payload, timeoutMs = DEFAULT_TIMEOUT_MS) => {
+    if (!cluster.isWorker) {
+        const { result, error } = await runHandler(masterHandlers, channel, payload, { pid: process.pid });
+        if (error) {
+            throw Object.assign(new Error(error.message), error);
+        }
+        return result;
+    }
+
+    attachWorkerListener();
+
+    return new Promise((resolve, reject) => {
+        const id = `${process.pid}:${nextRequestId++}`;
+
+        const timer = setTimeout(() => {
+            pendingRequests.delete(id);
+            reject(new Error(`Timed out waiting for the master to answer "${channel}"`));
+        }, timeoutMs);
+
+        pendingRequests.set(id, { resolve, reject, timer });
+        process.send({ type: `${MESSAGE_PREFIX}master:request`, id, channel, payload });
+    });
+};
+
+/**
+ * Register the function that does work the master hands to a worker. It
+ * runs in whichever worker requestWorker() picks, or in this process when
+ * not clustered.
+ * @param {string} channel - Channel name
+ * @param {Function} handler - `(payload, { pid }) => result`, sync or async
+ */
+const handleOnWorker = (channel, handler) => {
+    workerHandlers.set(channel, handler);
+    attachWorkerListener();
+};
+
+/**
+ * Have one worker run the handler of a channel, taking connected workers in
+ * turn. Meant for the master; outside a cluster the local handler runs.
+ * @param {string} channel - Channel name
+ * @param {*} payload - Serialisable request
+ * @param {number} timeoutMs - How long to wait for the worker
+ * @returns {Promise<*>} - Handler result; handler errors are rethrown with their statusCode and type
+ */
+const requestWorker = async (channel, payload, timeoutMs = DEFAULT_TIMEOUT_MS) => {
+    if (cluster.isWorker) {
+        throw new Error('requestWorker can only be called from the master');
+    }
+
+    const workers = Object.values(cluster.workers || {}).filter(worker => worker && worker.isConnected());
+
+    if (workers.length === 0) {
+        if (Object.keys(cluster.workers || {}).length > 0) {
+            throw new Error(`No worker is available to handle "${channel}"`);
+        }
+
+        const { result, error } = await runHandler(workerHandlers, channel, payload, { pid: process.pid });
+        if (error) {
+            throw Object.assign(new Error(error.message), error);
+        }
+        return result;
+    }
+
+    const worker = workers[nextWorkerIndex++ % workers.length];
+
+    return new Promise((resolve, reject) => {
+        const id = `${process.pid}:${nextRequestId++}`;
+
+        const timer = setTimeout(() => {
+            pendingRequests.delete(id);
+            reject(new Error(`Timed out waiting for a worker to answer "${channel}"`));
+        }, timeoutMs);
+
+        pendingRequests.set(id, { resolve, reject, timer, workerId: worker.id });
+        worker.send({ type: `${MESSAGE_PREFIX}worker:request`, id, channel, payload });
+    });
+};
+
+/**
+ * Listen for events published on a channel by any process
+ * @param {string} channel - Channel name
+ * @param {Function} listener - Called with the event payload
+ */
+const subscribe = (channel, listener) => {
+    if (!subscribers.has(channel)) {
+        subscribers.set(channel, []);
+    }
+    subscribers.get(channel).push(listener);
+    attachWorkerListener();
+};
+
+/**
+ * Publish an event to every worker, including this one. Safe to call from
+ * the master.
+ * @param {string} channel - Channel name
+ * @param {*} payload - Serialisable event payload
+ */
+const publish = (channel, payload) => {
+    if (cluster.isWorker) {
+        process.send({ type: `${MESSAGE_PREFIX}publish`, channel, payload });
+    } else if (cluster.isPrimary && Object.keys(cluster.workers || {}).length > 0) {
+        broadcastToWorkers(channel, payload);
+    } else {
+        deliverEvent(channel, payload);
+    }
+};
+
+/**
+ * Master-side fan out of an event to all connected workers
+ */
+const broadcastToWorkers = (channel, payload) => {
+    Object.values(cluster.workers)
+        .filter(worker => worker && worker.isConnected())
+        .forEach(worker => worker.send({ type: `${MESSAGE_PREFIX}event`, channel, payload }));
+};
+
+/**
+ * Master-side routing of collect requests, master requests and events
+ * between workers, and of replies to requestWorker()
+ */
+const setupMaster = () => {
+    const gatherings = new Map();
+
+    process.env[MASTER_PID_ENV] = String(process.pid);
+
+    const finish = (id) => {
+        const gathering = gatherings.get(id);
+        if (!gathering) return;
+
+        clearTimeout(gathering.timer);
+        gatherings.delete(id);
+
+        if (gathering.requester.isConnected()) {
+            gathering.requester.send({
+                type: `${MESSAGE_PREFIX}collect:result`,
+                id,
+                results: gathering.results
+            });
+        }
+    };
+
+    cluster.on('message', (worker, message) => {
+        if (!message || typeof message.type !== 'string' || !message.type.startsWith(MESSAGE_PREFIX)) {
+            return;
+        }
+
+        if (message.type === `${MESSAGE_PREFIX}collect`) {
+            const workers = Object.values(cluster.workers).filter(w => w && w.isConnected());
+
+            gatherings.set(message.id, {
+                requester: worker,
+                results: [],
+                remaining: workers.length,
+                timer: setTimeout(() => finish(message.id), message.timeoutMs || DEFAULT_TIMEOUT_MS)
+            });
+
+            workers.forEach(w => w.send({
+                type: `${MESSAGE_PREFIX}collect:request`,
+                id: message.id,
+                channel: message.channel
+            }));
+
+            if (workers.length === 0) {
+                finish(message.id);
+            }
+        } else if (message.type === `${MESSAGE_PREFIX}collect:reply`) {
+            const gathering = gatherings.get(message.id);
+            if (!gathering) return;
+
+            if (!message.error && message.result !== null) {
+                gathering.results.push({ pid: message.pid, result: message.result });
+            }
+
+            gathering.remaining--;
+            if (gathering.remaining <= 0) {
+                finish(message.id);
+            }
+        } else if (message.type === `${MESSAGE_PREFIX}master:request`) {
+            runHandler(masterHandlers, message.channel, message.payload, { pid: worker.process.pid }).then(({ result, error }) => {
+                if (worker.isConnected()) {
+                    worker.send({ type: `${MESSAGE_PREFIX}master:reply`, id: message.id, result, error });
+                }
+            });
+        } else if (message.type === `${MESSAGE_PREFIX}worker:reply`) {
+            settleRequest(message.id, message);
+        } else if (message.type === `${MESSAGE_PREFIX}publish`) {
+            broadcastToWorkers(message.channel, message.payload);
+        }
+    });
+
+    // Work handed to a worker that dies would otherwise wait for its timeout
+    cluster.on('exit', (worker) => {
+        for (const [id, pending] of pendingRequests) {
+            if (pending.workerId === worker.id) {
+                settleRequest(id, { error: { message: `Worker ${worker.process.pid} stopped before answering` } });
+            }
+        }
+    });
+};
+
+module.exports = {
+    hasMaster,
+    registerCollector,
+    collectFromWorkers,
+    handleOnMaster,
+    requestMaster,
+    handleOnWorker,
+    requestWorker,
+    subscribe,
+    publish,
+    setupMaster
+};
@@ -0,0 +1,176 @@
+/**
+ * Minimal five-field cron expressions: minute, hour, day of month, month and
+ * day of week. Fields take `*`, numbers, ranges (`1-5`), lists (`1,15`),
+ * steps (`*\/15`, `10-50/10`) and month or weekday names (`jan`, `mon-fri`).
+ * `@hourly`, `@daily`, `@weekly`, `@monthly` and `@yearly` are accepted too.
+ * Times are evaluated in UTC. When both day fields are restricted, i.e. not
+ * a literal `*`, a day matching either one matches.
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+const ALIASES = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// Far enough to find any valid date, including 29 February
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse one value of a field, allowing names where the field has them
+ */
+const parseValue = (value, field) => {
+    const lower = value.toLowerCase();
+    if (field.names && field.names.includes(lower)) {
+        return field.names.indexOf(lower) + field.offset;
+    }
+
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid ${field.name} value "${value}"`);
+    }
+
+    const number = parseInt(value, 10);
+    if (number < field.min || number > field.max) {
+        throw new Error(`${field.name} value ${number} is outside ${field.min}-${field.max}`);
+    }
+    return number;
+};
+
+/**
+ * Expand one field into the set of values it matches
+ * @param {string} source - Field text
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} - Matching values
+ */
+const parseField = (source, field) => {
+    const values = new Set();
+
+    for (const part of source.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+
+        if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+            throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            end = parseValue(to, field);
+            if (start > end) {
+                throw new Error(`Invalid range "${range}" in ${field.name}`);
+            }
+        } else {
+            start = parseValue(range, field);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field expression or alias
+ * @returns {Object} - Parsed schedule for nextRun()
+ * @throws {Error} - When the expression is invalid
+ */
+const parseCron = (expression) => {
+    const source = String(expression || '').trim();
+    const expanded = ALIASES[source.toLowerCase()] || source;
+    const parts = expanded.split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+        throw new Error('Cron expressions need five fields: minute, hour, day of month, month and day of week');
+    }
+
+    const parsed = { expression: source };
+    FIELDS.forEach((field, index) => {
+        parsed[field.name] = parseField(parts[index], field);
+    });
+
+    // Sunday may be written as 0 or 7
+    if (parsed.dayOfWeek.has(7)) {
+        parsed.dayOfWeek.add(0);
+        parsed.dayOfWeek.delete(7);
+    }
+
+    // As in standard cron, a day matches either field when both are restricted.
+    // Only a literal `*` leaves a field unrestricted: unlike Vixie cron, which
+    // also counts `*/2`, a step limits the days like any other list
+    parsed.anyDayOfMonth = parts[2] === '*';
+    parsed.anyDayOfWeek = parts[4] === '*';
+
+    return parsed;
+};
+
+const matchesDay = (parsed, date) => {
+    const dayOfMonth = parsed.dayOfMonth.has(date.getUTCDate());
+    const dayOfWeek = parsed.dayOfWeek.has(date.getUTCDay());
+
+    if (parsed.anyDayOfMonth || parsed.anyDayOfWeek) {
+        return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * Find the first time after a moment that matches a schedule
+ * @param {Object} parsed - Result of parseCron()
+ * @param {Date|number} after - Exclusive lower bound
+ * @returns {Date|null} - Next matching minute, or null when none exists
+ */
+const nextRun = (parsed, after) => {
+    const date = new Date(after);
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    const limit = date.getUTCFullYear() + MAX_SEARCH_YEARS;
+
+    while (date.getUTCFullYear() <= limit) {
+        if (!parsed.month.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0);
+        } else if (!matchesDay(parsed, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0);
+        } else if (!parsed.hour.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0);
+        } else if (!parsed.minute.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    parseCron,
+    nextRun
+};
@@ -0,0 +1,157 @@
+/**
+ * Device emulation presets. Each preset sets the viewport, scale factor,
+ * user agent and touch/mobile flags together so pages serve the same layout
+ * and assets they would to the real device.
+ */
+const DEVICE_PRESETS = {
+    'iphone-15': {
+        label: 'iPhone 15',
+        category: 'phone',
+        width: 393,
+        height: 852,
+        deviceScaleFactor: 3,
+        isMobile: true,
+        hasTouch: true,
+        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+    },
+    'iphone-se': {
+        label: 'iPhone SE',
+        category: 'phone',
+        width: 375,
+        height: 667,
+        deviceScaleFactor: 2,
+        isMobile: true,
+        hasTouch: true,
+        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1'
+    },
+    'pixel-8': {
+        label: 'Pixel 8',
+        category: 'phone',
+        width: 412,
+        height: 915,
+        deviceScaleFactor: 2.625,
+        isMobile: true,
+        hasTouch: true,
+        userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36'
+    },
+    'galaxy-s23': {
+        label: 'Galaxy S23',
+        category: 'phone',
+        width: 360,
+        height: 780,
+        deviceScaleFactor: 3,
+        isMobile: true,
+        hasTouch: true,
+        userAgent: 'Mozilla/5.0 (Linux; Android 14; SM-S911B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36'
+    },
+    'ipad': {
+        label: 'iPad',
+        category: 'tablet',
+        width: 820,
+        height: 1180,
+        deviceScaleFactor: 2,
+        isMobile: true,
+        hasTouch: true,
+        userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+    },
+    'ipad-pro': {
+        label: 'iPad Pro 12.9"',
+        category: 'tablet',
+        width: 1024,
+        height: 1366,
+        deviceScaleFactor: 2,
+        isMobile: true,
+        hasTouch: true,
+        userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+    },
+    'galaxy-tab-s9': {
+        label: 'Galaxy Tab S9',
+        category: 'tablet',
+        width: 800,
+        height: 1280,
+        deviceScaleFactor: 2,
+        isMobile: true,
+        hasTouch: true,
+        userAgent: 'Mozilla/5.0 (Linux; Android 14; SM-X710) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    },
+    'desktop-hd': {
+        label: 'Desktop HD',
+        category: 'desktop',
+        width: 1366,
+        height: 768,
+        deviceScaleFactor: 1,
+        isMobile: false,
+        hasTouch: false,
+        userAgent: null
+    },
+    'desktop-fhd': {
+        label: 'Desktop Full HD',
+        category: 'desktop',
+        width: 1920,
+        height: 1080,
+        deviceScaleFactor: 1,
+        isMobile: false,
+        hasTouch: false,
+        userAgent: null
+    },
+    'desktop-4k': {
+        label: 'Desktop 4K',
+        category: 'desktop',
+        width: 1920,
+        height: 1080,
+        deviceScaleFactor: 2,
+        isMobile: false,
+        hasTouch: false,
+        userAgent: null
+    }
+};
+
+// Short names resolving to the most common preset of a device family
+const DEVICE_ALIASES = {
+    'iphone': 'iphone-15',
+    'pixel': 'pixel-8',
+    'galaxy': 'galaxy-s23',
+    'galaxy-tab': 'galaxy-tab-s9',
+    'desktop': 'desktop-hd'
+};
+
+/**
+ * Every name accepted by the device option, presets and aliases
+ * @returns {string[]} - Accepted device names
+ */
+const getDeviceNames = () => {
+    return [...Object.keys(DEVICE_PRESETS), ...Object.keys(DEVICE_ALIASES)];
+};
+
+/**
+ * Look up a device preset by name or alias, case-insensitively
+ * @param {string} name - Device name
+ * @returns {Object|null} - Preset including its canonical name, or null
+ */
+const getDevicePreset = (name) => {
+    if (!name) return null;
+
+    const key = name.toLowerCase().trim().replace(/\s+/g, '-');
+    const presetName = DEVICE_PRESETS[key] ? key : DEVICE_ALIASES[key];
+
+    return presetName ? { name: presetName, ...DEVICE_PRESETS[presetName] } : null;
+};
+
+/**
+ * List presets for the devices endpoint
+ * @returns {Object[]} - Presets with their names and aliases
+ */
+const listDevicePresets = () => {
+    return Object.entries(DEVICE_PRESETS).map(([name, preset]) => ({
+        name,
+        aliases: Object.keys(DEVICE_ALIASES).filter(alias => DEVICE_ALIASES[alias] === name),
+        ...preset
+    }));
+};
+
+module.exports = {
+    DEVICE_PRESETS,
+    getDeviceNames,
+    getDevicePreset,
+    listDevicePresets
+};
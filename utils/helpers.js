@@ -305,6 +305,97 @@ const parseUserAgent = (userAgent) => {
     return { browser, os, device };
 };
 
+/**
+ * Pick the most compact image format the client accepts
+ * @param {string} acceptHeader - Request Accept header
+ * @param {string} fallback - Format used when neither AVIF nor WebP is accepted
+ * @returns {string} - avif, webp or the fallback format
+ */
+const negotiateImageFormat = (acceptHeader, fallback = 'png') => {
+    const accepted = (acceptHeader || '')
+        .split(',')
+        .map(part => {
+            const [type, ...params] = part.trim().toLowerCase().split(';');
+            const qParam = params.find(param => param.trim().startsWith('q='));
+            const q = qParam ? parseFloat(qParam.trim().substring(2)) : 1;
+            return { type: type.trim(), q: isNaN(q) ? 1 : q };
+        })
+        .filter(entry => entry.q > 0)
+        .map(entry => entry.type);
+
+    // Wildcards are ignored on purpose: browsers that send */* may not decode AVIF
+    if (accepted.includes('image/avif')) return 'avif';
+    if (accepted.includes('image/webp')) return 'webp';
+    return fallback;
+};
+
+/**
+ * Copy request options with credentials replaced, for logging. Header and
+ * cookie values, the basic auth password and API keys are masked; header
+ * and cookie names are kept so logs still show what was sent. Inline HTML
+ * is logged as its length only.
+ * @param {Object} data - Request options, query or body
+ * @returns {Object} - Shallow copy safe to log
+ */
+const redactSecrets = (data) => {
+    if (!data || typeof data !== 'object') {
+        return data;
+    }
+
+    const redacted = { ...data };
+    const mask = (value) => (value === undefined || value === null ? value : '[REDACTED]');
+
+    if (redacted.headers && typeof redacted.headers === 'object') {
+        redacted.headers = Object.fromEntries(
+            Object.keys(redacted.headers).map(name => [name, mask(redacted.headers[name])])
+        );
+    } else {
+        redacted.headers = mask(redacted.headers);
+    }
+
+    if (Array.isArray(redacted.cookies)) {
+        redacted.cookies = redacted.cookies.map(cookie => (
+            cookie && typeof cookie === 'object' ? { ...cookie, value: mask(cookie.value) } : mask(cookie)
+        ));
+    } else {
+        redacted.cookies = mask(redacted.cookies);
+    }
+
+    if (redacted.authenticate && typeof redacted.authenticate === 'object') {
+        redacted.authenticate = { ...redacted.authenticate, password: mask(redacted.authenticate.password) };
+    } else {
+        redacted.authenticate = mask(redacted.authenticate);
+    }
+
+    redacted.apiKey = mask(redacted.apiKey);
+
+    if (typeof redacted.html === 'string') {
+        redacted.html = `[${redacted.html.length} characters]`;
+    }
+
+    // Leave absent fields absent rather than logging them as undefined
+    for (const key of ['headers', 'cookies', 'authenticate', 'apiKey']) {
+        if (redacted[key] === undefined) {
+            delete redacted[key];
+        }
+    }
+
+    return redacted;
+};
+
+// Options that render a page as the caller sees it, not as anyone would
+const CREDENTIAL_OPTIONS = ['headers', 'cookies', 'userAgent', 'authenticate'];
+
+/**
+ * Cache-Control for a rendered capture. Pages loaded with the caller's
+ * headers, cookies, user agent or login must not be kept by shared caches.
+ * @param {Object} options - Capture options
+ * @returns {string} - Cache-Control header value
+ */
+const cacheControlFor = (options) => {
+    return CREDENTIAL_OPTIONS.some(key => !isEmpty(options[key])) ? 'private, no-store' : 'public, max-age=3600';
+};
+
 /**
  * Hash string using simple hash function
  * @param {string} str - String to hash
@@ -339,5 +430,8 @@ module.exports = {
     throttle,
     getClientIP,
     parseUserAgent,
+    negotiateImageFormat,
+    redactSecrets,
+    cacheControlFor,
     simpleHash
 };
\ No newline at end of file
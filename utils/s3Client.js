@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+
+/**
+ * Minimal client for S3-compatible object stores (AWS S3, MinIO, R2 and
+ * the like), signing requests with AWS Signature Version 4. Only what the
+ * storage service needs: uploading objects and presigning downloads.
+ */
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const SERVICE = 's3';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Percent-encode as SigV4 expects, which is stricter than encodeURIComponent
+ */
+const encodeRfc3986 = value => encodeURIComponent(value)
+    .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = key => key.split('/').map(encodeRfc3986).join('/');
+
+/**
+ * `20130524T000000Z` and `20130524` for a date
+ */
+const formatAmzDate = (date) => {
+    const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    return { amzDate, dateStamp: amzDate.slice(0, 8) };
+};
+
+class S3Client {
+    /**
+     * @param {Object} config - Connection settings
+     * @param {string} config.endpoint - Service URL, e.g. https://s3.eu-west-1.amazonaws.com or http://localhost:9000
+     * @param {string} config.region - Signing region
+     * @param {string} config.bucket - Bucket name
+     * @param {string} config.accessKeyId - Access key ID
+     * @param {string} config.secretAccessKey - Secret access key
+     * @param {boolean} [config.forcePathStyle] - Address the bucket in the path rather than the host name, as MinIO needs
+     */
+    constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle = false }) {
+        this.endpoint = new URL(endpoint);
+        this.region = region;
+        this.bucket = bucket;
+        this.accessKeyId = accessKeyId;
+        this.secretAccessKey = secretAccessKey;
+        this.forcePathStyle = forcePathStyle;
+    }
+
+    /**
+     * Unsigned URL of an object
+     * @param {string} key - Object key
+     * @returns {URL} - Object URL
+     */
+    objectUrl(key) {
+        const url = new URL(this.endpoint.href);
+        const basePath = url.pathname.replace(/\/$/, '');
+
+        if (this.forcePathStyle) {
+            url.pathname = `${basePath}/${encodeRfc3986(this.bucket)}/${encodeKey(key)}`;
+        } else {
+            url.hostname = `${this.bucket}.${url.hostname}`;
+            url.pathname = `${basePath}/${encodeKey(key)}`;
+        }
+
+        return url;
+    }
+
+    /**
+     * Calculate a request signature
+     * @param {Object} request - What to sign
+     * @param {string} request.method - HTTP method
+     * @param {URL} request.url - Request URL, with any query parameters to sign
+     * @param {Object} request.headers - Headers to sign, lowercase names
+     * @param {string} request.payloadHash - Hex SHA-256 of the body, or UNSIGNED-PAYLOAD
+     * @param {Date} request.date - Signing time
+     * @returns {Object} - Signature, credential scope and signed header list
+     */
+    sign({ method, url, headers, payloadHash, date }) {
+        const { amzDate, dateStamp } = formatAmzDate(date);
+        const scope = `${dateStamp}/${this.region}/${SERVICE}/aws4_request`;
+
+        const headerNames = Object.keys(headers).sort();
+        const signedHeaders = headerNames.join(';');
+        const canonicalHeaders = headerNames
+            .map(name => `${name}:${String(headers[name]).trim().replace(/\s+/g, ' ')}\n`)
+            .join('');
+        const canonicalQuery = [...url.searchParams.entries()]
+            .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+            .sort(([first], [second]) => (first < second ? -1 : first > second ? 1 : 0))
+            .map(([name, value]) => `${name}=${value}`)
+            .join('&');
+
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            canonicalQuery,
+            canonicalHeaders,
+            signedHeaders,
+            payloadHash
+        ].join('\n');
+
+        const stringToSign = [ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+        let signingKey = hmac(`AWS4${this.secretAccessKey}`, dateStamp);
+        for (const part of [this.region, SERVICE, 'aws4_request']) {
+            signingKey = hmac(signingKey, part);
+        }
+
+        return {
+            signature: hmac(signingKey, stringToSign).toString('hex'),
+            credential: `${this.accessKeyId}/${scope}`,
+            signedHeaders,
+            amzDate
+        };
+    }
+
+    /**
+     * Upload an object
+     * @param {string} key - Object key
+     * @param {Buffer} body - Object data
+     * @param {Object} [options] - Upload options
+     * @param {string} [options.contentType] - Content-Type stored with the object
+     * @param {number} [options.timeoutMs] - Request timeout
+     * @returns {Promise<Object>} - The object's ETag
+     */
+    async putObject(key, body, { contentType = 'application/octet-stream', timeoutMs = 30000 } = {}) {
+        const url = this.objectUrl(key);
+        const payloadHash = sha256(body);
+        const headers = {
+            'content-type': contentType,
+            host: url.host,
+            'x-amz-content-sha256': payloadHash
+        };
+
+        const date = new Date();
+        headers['x-amz-date'] = formatAmzDate(date).amzDate;
+        const { signature, credential, signedHeaders } = this.sign({ method: 'PUT', url, headers, payloadHash, date });
+
+        // fetch sets Host itself, from the same URL
+        const { host, ...requestHeaders } = headers;
+        const response = await fetch(url, {
+            method: 'PUT',
+            headers: {
+                ...requestHeaders,
+                authorization: `${ALGORITHM} Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+            },
+            body,
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            const code = (text.match(/<Code>([^<]+)<\/Code>/) || [])[1];
+            const error = new Error(`Object store responded with HTTP ${response.status}${code ? ` (${code})` : ''}`);
+            error.statusCode = response.status;
+            throw error;
+        }
+
+        return { etag: response.headers.get('etag') };
+    }
+
+    /**
+     * Presigned URL that lets anyone holding it download an object until it
+     * expires
+     * @param {string} key - Object key
+     * @param {number} expiresSeconds - Validity, at most seven days
+     * @param {Date} [date] - Signing time
+     * @returns {string} - Download URL
+     */
+    presignGetUrl(key, expiresSeconds, date = new Date()) {
+        const url = this.objectUrl(key);
+        const { amzDate, dateStamp } = formatAmzDate(date);
+
+        url.searchParams.set('X-Amz-Algorithm', ALGORITHM);
+        url.searchParams.set('X-Amz-Credential', `${this.accessKeyId}/${dateStamp}/${this.region}/${SERVICE}/aws4_request`);
+        url.searchParams.set('X-Amz-Date', amzDate);
+        url.searchParams.set('X-Amz-Expires', String(expiresSeconds));
+        url.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+        const { signature } = this.sign({
+            method: 'GET',
+            url,
+            headers: { host: url.host },
+            payloadHash: UNSIGNED_PAYLOAD,
+            date
+        });
+
+        return `${url.href}&X-Amz-Signature=${signature}`;
+    }
+}
+
+module.exports = S3Client;
@@ -0,0 +1,217 @@
+/**
+ * Minimal Handlebars-style renderer for capture templates. Supports
+ * `{{path.to.value}}` (HTML-escaped), `{{{raw}}}`, `{{#if value}}`,
+ * `{{#unless value}}`, `{{#each list}}` with `{{this}}`, `{{@index}}`,
+ * `{{@key}}`, and `{{else}}` inside blocks. Templates are data-only: there
+ * are no helpers or partials, so rendering can never run code. Values
+ * written inside a `<style>` element must look like a plain CSS value, so
+ * data cannot end the declaration and add rules of its own.
+ */
+
+const TOKEN_PATTERN = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([#/]?)([^}]*?)\s*\}\}/g;
+
+// Colours, lengths, keywords and functions such as
+// linear-gradient(135deg, #1e3a8a, #7c3aed), but no ; { } : / \ or quotes
+const SAFE_CSS_VALUE_PATTERN = /^[\w\s#%.,()+-]*$/;
+
+/**
+ * Template data that cannot be rendered safely
+ */
+class TemplateDataError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateDataError';
+    }
+}
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;',
+    '=': '&#61;'
+};
+
+/**
+ * Escape a value for insertion into HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+const escapeHtml = (value) => {
+    if (value === undefined || value === null) return '';
+    return String(value).replace(/[&<>"'`=]/g, char => HTML_ESCAPES[char]);
+};
+
+/**
+ * Whether the source after a text chunk is inside a `<style>` element
+ * @param {boolean} inStyle - Whether the chunk starts inside one
+ * @param {string} text - Template text
+ * @returns {boolean}
+ */
+const endsInStyle = (inStyle, text) => {
+    const lower = text.toLowerCase();
+    const open = lower.lastIndexOf('<style');
+    const close = lower.lastIndexOf('</style');
+    return open === -1 && close === -1 ? inStyle : open > close;
+};
+
+/**
+ * Split a template into a tree of text, variable and block nodes
+ * @param {string} source - Template source
+ * @returns {Object[]} - Parsed nodes
+ */
+const parse = (source) => {
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+    let inStyle = false;
+    let match;
+
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+        const current = stack[stack.length - 1];
+
+        if (match.index > lastIndex) {
+            const text = source.slice(lastIndex, match.index);
+            current.children.push({ type: 'text', value: text });
+            inStyle = endsInStyle(inStyle, text);
+        }
+        lastIndex = TOKEN_PATTERN.lastIndex;
+
+        if (match[1] !== undefined) {
+            current.children.push({ type: 'variable', path: match[1], raw: true, css: inStyle });
+            continue;
+        }
+
+        const [, , sigil, body] = match;
+        const [keyword, ...args] = body.split(/\s+/);
+
+        if (sigil === '#') {
+            if (!['if', 'unless', 'each'].includes(keyword) || args.length !== 1) {
+                throw new Error(`Unsupported block "{{#${body}}}"`);
+            }
+            const block = { type: keyword, path: args[0], children: [], inverse: null };
+            current.children.push(block);
+            stack.push(block);
+        } else if (sigil === '/') {
+            if (stack.length === 1 || current.type !== keyword) {
+                throw new Error(`Unexpected "{{/${keyword}}}"`);
+            }
+            stack.pop();
+        } else if (body === 'else' && stack.length > 1) {
+            if (current.inverse) {
+                throw new Error('Only one {{else}} is allowed per block');
+            }
+            current.inverse = [];
+            current.main = current.children;
+            current.children = current.inverse;
+        } else if (body.startsWith('!')) {
+            // {{! comment }}
+        } else {
+            current.children.push({ type: 'variable', path: body, raw: false, css: inStyle });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Unclosed "{{#${stack[stack.length - 1].type}}}" block`);
+    }
+
+    if (lastIndex < source.length) {
+        root.children.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    return root.children;
+};
+
+/**
+ * Resolve a dotted path against the current scope
+ * @param {string} path - e.g. `user.name`, `this`, `@index` or `../title`
+ * @param {Object[]} scopes - Scope chain, innermost last
+ * @returns {*} - Resolved value
+ */
+const lookup = (path, scopes) => {
+    let depth = scopes.length - 1;
+    let remaining = path;
+
+    while (remaining.startsWith('../')) {
+        depth = Math.max(0, depth - 1);
+        remaining = remaining.substring(3);
+    }
+
+    const scope = scopes[depth];
+    if (remaining === 'this' || remaining === '.') return scope.value;
+    if (remaining.startsWith('@')) return scope.meta[remaining.substring(1)];
+
+    let value = scope.value;
+    for (const part of remaining.replace(/^this\./, '').split('.')) {
+        // Own properties only, so templates cannot reach prototypes
+        if (value === undefined || value === null || !Object.prototype.hasOwnProperty.call(Object(value), part)) {
+            return undefined;
+        }
+        value = value[part];
+    }
+
+    return value;
+};
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const renderNodes = (nodes, scopes) => nodes.map((node) => {
+    switch (node.type) {
+        case 'text':
+            return node.value;
+        case 'variable': {
+            const value = lookup(node.path, scopes);
+            if (node.css && value !== undefined && value !== null && !SAFE_CSS_VALUE_PATTERN.test(String(value))) {
+                throw new TemplateDataError(
+                    `"${node.path}" is used in a stylesheet and may only contain letters, numbers, spaces and # % . , ( ) + -`
+                );
+            }
+            return node.raw ? (value === undefined || value === null ? '' : String(value)) : escapeHtml(value);
+        }
+        case 'if':
+        case 'unless': {
+            const condition = isTruthy(lookup(node.path, scopes));
+            const branch = (node.type === 'if') === condition ? (node.main || node.children) : node.inverse;
+            return branch ? renderNodes(branch, scopes) : '';
+        }
+        case 'each': {
+            const list = lookup(node.path, scopes);
+            const entries = Array.isArray(list)
+                ? list.map((value, index) => [index, value])
+                : (list && typeof list === 'object' ? Object.entries(list) : []);
+
+            if (entries.length === 0) {
+                return node.inverse ? renderNodes(node.inverse, scopes) : '';
+            }
+
+            return entries.map(([key, value], index) => renderNodes(node.main || node.children, [
+                ...scopes,
+                {
+                    value,
+                    meta: { index, key, first: index === 0, last: index === entries.length - 1 }
+                }
+            ])).join('');
+        }
+        default:
+            return '';
+    }
+}).join('');
+
+/**
+ * Compile a template once and render it with many data objects
+ * @param {string} source - Template source
+ * @returns {Function} - `(data) => html`
+ */
+const compileTemplate = (source) => {
+    const nodes = parse(source);
+    return (data = {}) => renderNodes(nodes, [{ value: data, meta: {} }]);
+};
+
+module.exports = {
+    compileTemplate,
+    escapeHtml,
+    TemplateDataError
+};
@@ -0,0 +1,211 @@
+/**
+ * Streams a ZIP archive to a writable stream, one entry at a time. Entries
+ * are stored uncompressed: captured images are already compressed, and
+ * storing lets each entry be written as soon as it is ready. Archives past
+ * 4 GiB or 65535 entries get ZIP64 records.
+ */
+
+// Largest values the classic 32-bit and 16-bit fields can hold; anything
+// at or above them is written to the ZIP64 records instead
+const ZIP64_LIMIT = 0xffffffff;
+const ZIP64_COUNT_LIMIT = 0xffff;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 checksum used by the ZIP format
+ * @param {Buffer} buffer - Data to checksum
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Build a ZIP64 extended information extra field
+ * @param {number[]} values - 64-bit values, in the order the format requires
+ * @returns {Buffer} - Extra field, empty when there are no values
+ */
+const zip64Extra = (values) => {
+    if (values.length === 0) {
+        return Buffer.alloc(0);
+    }
+
+    const extra = Buffer.alloc(4 + values.length * 8);
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(values.length * 8, 2);
+    values.forEach((value, i) => extra.writeBigUInt64LE(BigInt(value), 4 + i * 8));
+    return extra;
+};
+
+/**
+ * Pack a date into MS-DOS time and date fields
+ * @param {Date} date - Modification time
+ * @returns {{time: number, date: number}} - DOS time and date
+ */
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+class ZipWriter {
+    /**
+     * @param {Object} output - Writable stream, e.g. an Express response
+     */
+    constructor(output) {
+        this.output = output;
+        this.entries = [];
+        this.offset = 0;
+        this.pending = Promise.resolve();
+        this.finished = false;
+    }
+
+    /**
+     * Write a chunk, waiting for the stream to drain when its buffer is full
+     * @param {Buffer} chunk - Bytes to write
+     */
+    async write(chunk) {
+        this.offset += chunk.length;
+        if (!this.output.write(chunk)) {
+            await new Promise((resolve) => {
+                const done = () => {
+                    this.output.off('drain', done);
+                    this.output.off('close', done);
+                    resolve();
+                };
+                this.output.on('drain', done);
+                this.output.on('close', done);
+            });
+        }
+    }
+
+    /**
+     * Add a file. Calls are serialised, so entries may be added concurrently.
+     * @param {string} name - Path inside the archive
+     * @param {Buffer|string} content - File contents
+     * @param {Date} [modified] - Modification time
+     * @returns {Promise<void>}
+     */
+    addFile(name, content, modified = new Date()) {
+        if (this.finished) {
+            return Promise.reject(new Error('Cannot add files to a finished archive'));
+        }
+
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+        const task = this.pending.then(() => this.writeEntry(name, data, modified));
+        this.pending = task.catch(() => {});
+        return task;
+    }
+
+    async writeEntry(name, data, modified) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const { time, date } = toDosDateTime(modified);
+        const entry = { nameBuffer, crc: crc32(data), size: data.length, time, date, offset: this.offset };
+        const large = entry.size >= ZIP64_LIMIT;
+        const extra = zip64Extra(large ? [entry.size, entry.size] : []);
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(large ? 45 : 20, 4);
+        header.writeUInt16LE(0x0800, 6); // UTF-8 file names
+        header.writeUInt16LE(0, 8); // stored
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt32LE(entry.crc, 14);
+        header.writeUInt32LE(Math.min(entry.size, ZIP64_LIMIT), 18);
+        header.writeUInt32LE(Math.min(entry.size, ZIP64_LIMIT), 22);
+        header.writeUInt16LE(nameBuffer.length, 26);
+        header.writeUInt16LE(extra.length, 28);
+
+        this.entries.push(entry);
+        await this.write(Buffer.concat([header, nameBuffer, extra]));
+        await this.write(data);
+    }
+
+    /**
+     * Write the central directory and end the stream
+     * @returns {Promise<void>}
+     */
+    async finish() {
+        await this.pending;
+        this.finished = true;
+
+        const directoryOffset = this.offset;
+        const records = this.entries.map((entry) => {
+            // Sizes come before the offset, and only overflowing fields are included
+            const large = entry.size >= ZIP64_LIMIT;
+            const extra = zip64Extra([
+                ...(large ? [entry.size, entry.size] : []),
+                ...(entry.offset >= ZIP64_LIMIT ? [entry.offset] : [])
+            ]);
+            const version = extra.length > 0 ? 45 : 20;
+
+            const record = Buffer.alloc(46);
+            record.writeUInt32LE(0x02014b50, 0);
+            record.writeUInt16LE(version, 4);
+            record.writeUInt16LE(version, 6);
+            record.writeUInt16LE(0x0800, 8);
+            record.writeUInt16LE(0, 10);
+            record.writeUInt16LE(entry.time, 12);
+            record.writeUInt16LE(entry.date, 14);
+            record.writeUInt32LE(entry.crc, 16);
+            record.writeUInt32LE(Math.min(entry.size, ZIP64_LIMIT), 20);
+            record.writeUInt32LE(Math.min(entry.size, ZIP64_LIMIT), 24);
+            record.writeUInt16LE(entry.nameBuffer.length, 28);
+            record.writeUInt16LE(extra.length, 30);
+            record.writeUInt32LE(Math.min(entry.offset, ZIP64_LIMIT), 42);
+            return Buffer.concat([record, entry.nameBuffer, extra]);
+        });
+        const directory = Buffer.concat(records);
+        const count = this.entries.length;
+
+        await this.write(directory);
+
+        if (count >= ZIP64_COUNT_LIMIT || directory.length >= ZIP64_LIMIT || directoryOffset >= ZIP64_LIMIT) {
+            const recordOffset = this.offset;
+
+            const record = Buffer.alloc(56);
+            record.writeUInt32LE(0x06064b50, 0);
+            record.writeBigUInt64LE(44n, 4); // size of the rest of the record
+            record.writeUInt16LE(45, 12);
+            record.writeUInt16LE(45, 14);
+            record.writeBigUInt64LE(BigInt(count), 24);
+            record.writeBigUInt64LE(BigInt(count), 32);
+            record.writeBigUInt64LE(BigInt(directory.length), 40);
+            record.writeBigUInt64LE(BigInt(directoryOffset), 48);
+
+            const locator = Buffer.alloc(20);
+            locator.writeUInt32LE(0x07064b50, 0);
+            locator.writeBigUInt64LE(BigInt(recordOffset), 8);
+            locator.writeUInt32LE(1, 16);
+
+            await this.write(Buffer.concat([record, locator]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(Math.min(count, ZIP64_COUNT_LIMIT), 8);
+        end.writeUInt16LE(Math.min(count, ZIP64_COUNT_LIMIT), 10);
+        end.writeUInt32LE(Math.min(directory.length, ZIP64_LIMIT), 12);
+        end.writeUInt32LE(Math.min(directoryOffset, ZIP64_LIMIT), 16);
+
+        await this.write(end);
+        this.output.end();
+    }
+}
+
+module.exports = ZipWriter;